@@ -115,96 +115,3107 @@
  * @property {number} trgThr Trigger trashold
  */
 
+/**
+ * @typedef {Object} Transport
+ *
+ * Connection to the FreeMASTER service. The interface is a subset of the WebSocket API, so WebSocket objects can be used directly.
+ *
+ * @property {number}   readyState Connection state (0 connecting, 1 open, 2 closing, 3 closed)
+ * @property {Function} send       Sends a string message
+ * @property {Function} close      Closes the connection
+ * @property {Function} onopen     Open event handler, set by PCM
+ * @property {Function} onclose    Close event handler, set by PCM
+ * @property {Function} onerror    Error event handler, set by PCM
+ * @property {Function} onmessage  Message event handler, set by PCM; the message is passed in the data property of the event
+ */
+
+/**
+ * @typedef {Object} WebSocketTransportOptions
+ *
+ * WebSocket transport options.
+ *
+ * @property {boolean}              [secure=false] Use wss:// scheme when the url doesn't specify one
+ * @property {string|Array<string>} [protocols]    WebSocket subprotocols
+ * @property {Object}               [options]      Options passed to the NodeJS ws WebSocket constructor (e.g. headers)
+ */
+
+/**
+ * @typedef {Object} ReconnectOptions
+ *
+ * Automatic reconnection settings.
+ *
+ * @property {boolean} [enabled=true]         Reconnect when the connection to the service is lost
+ * @property {number}  [delay=500]            Delay before the first reconnection attempt in milliseconds
+ * @property {number}  [maxDelay=10000]       Maximal delay between two reconnection attempts in milliseconds
+ * @property {number}  [factor=2]             Multiplier applied to the delay after each failed attempt
+ * @property {number}  [maxAttempts=Infinity] Number of attempts before giving up
+ */
+
+/**
+ * @typedef {Object} PCMOptions
+ *
+ * PCM instance options.
+ *
+ * @property {Function|Transport}       [transport]     Transport factory called with the url for every connection attempt, or a transport
+ *                                                      (e.g. an open WebSocket) used for a single connection; defaults to {@link PCM.WebSocketTransport PCM.WebSocketTransport()}
+ * @property {ReconnectOptions|boolean} [reconnect]     Automatic reconnection settings, false disables the reconnection
+ * @property {number}                   [timeout=30000] Default request timeout in milliseconds, 0 waits for the response forever
+ * @property {number}                   [queueSize=100] Maximal number of requests buffered while the connection is not open
+ * @property {number}                   [connectTimeout=10000] Time limit of {@link PCM.connect PCM.connect} in milliseconds, 0 waits forever
+ * @property {number}                   [maxInFlight=Infinity] Maximal number of requests sent and waiting for the response, the others
+ *                                                      wait for a free slot ordered by their priority (see {@link CallOptions CallOptions})
+ * @property {boolean|number}           [coalesce=false] Collect ReadVariable, ReadUIntVariable and ReadFloatVariable calls and send them
+ *                                                      in one batch, identical reads are sent once; true collects the calls issued in
+ *                                                      the same microtask, a number sets the collection window in milliseconds
+ * @property {Function}                 [onSocketOpen]  WebSocket open event handler
+ * @property {Function}                 [onSocketClose] WebSocket close event handler
+ * @property {Function}                 [onSocketError] WebSocket error event handler
+ */
+
+/**
+ * @typedef {Object} FractFormat
+ *
+ * Fixed-point Qm.n format of fractional values.
+ *
+ * @property {string} [type='fract'] Signed (fract) or unsigned (ufract) format
+ * @property {number} size           Value size in bytes (1, 2, 4, or 8)
+ * @property {number} [q_n]          Number of fractional bits, all bits except the sign bit by default
+ * @property {number} [q_m]          Number of integer bits, the bits not used by the sign and q_n by default
+ */
+
+/**
+ * @typedef {Object} FractOptions
+ *
+ * Conversion of the floating point values to the fractional values.
+ *
+ * @property {string}  [rounding='nearest'] Rounding of the scaled value: 'nearest', 'floor', 'ceil' or 'trunc'
+ * @property {boolean} [saturate=true]      Limit the values out of the format range to the nearest representable
+ *                                          value, otherwise such values are rejected with RangeError
+ * @property {boolean} [raw=false]          Skip the conversion and pass the raw integer values
+ */
+
+/**
+ * @typedef {Object} StructLayout
+ *
+ * Members of a structure (or union) type. The service provides the offsets and sizes of the members only, their types
+ * are not resolved and must be given by the layout.
+ *
+ * @property {string} [type]  Structure type name, by default the type of the symbol reported by GetSymbolInfo; required
+ *                            for a structure at an address value or a symbol without the type
+ * @property {Object} members Object mapping the member names to their types: 'int', 'uint', 'fract', 'ufract', 'float'
+ *                            or 'double', followed by '[count]' for arrays (e.g. 'int[4]'); a {@link FractFormat FractFormat}
+ *                            for fractional members with a custom format, or a StructLayout with the type name for
+ *                            nested structures. The count property of the objects makes arrays of them.
+ */
+
+/**
+ * @typedef {Object} MemoryRangeOptions
+ *
+ * Transfer of a memory range in chunks, see {@link PCM#readMemoryRange readMemoryRange}.
+ *
+ * @property {number}      [chunkSize]  Chunk size in bytes, by default the command buffer size of the board (cmdBuffSize of
+ *                                      {@link BoardInfo BoardInfo}, or the MTU configuration parameter of the protocol
+ *                                      version 4) less the command header
+ * @property {number}      [retries=2]  Number of times a failed or partially transferred chunk is sent again before the
+ *                                      transfer fails
+ * @property {Function}    [onProgress] Called after each chunk with the number of bytes transferred and the total size
+ * @property {AbortSignal} [signal]     Cancels the transfer before the next chunk; it is rejected with the abort reason
+ */
+
+/**
+ * @typedef {Object} MemoryImageOptions
+ *
+ * Export and import of memory images, see {@link PCM#exportMemory exportMemory}. The options of
+ * {@link MemoryRangeOptions MemoryRangeOptions} apply to the memory transfers.
+ *
+ * @property {string}  [format]         Image format: 'ihex' (Intel HEX), 'srec' (Motorola S-record) or 'raw' (binary); exported
+ *                                      images are Intel HEX by default, imported text images are recognized by the first record
+ *                                      and binary data is raw
+ * @property {number}  [recordSize=16]  Number of data bytes per record of the exported Intel HEX and S-record images
+ * @property {number}  [addr]           Target address of the imported raw images
+ * @property {boolean} [verify=true]    Read back and compare the imported data
+ */
+
+/**
+ * @typedef {Object} MemoryWatchOptions
+ *
+ * Watching of a memory region, see {@link PCM#watchMemory watchMemory}.
+ *
+ * @property {number}   [interval=100] Polling interval in milliseconds, counted from the end of the previous read
+ * @property {string}   [type='uint']  Element type of the changes: 'int', 'uint', 'float' or 'double'
+ * @property {number}   [elSize=1]     Element size in bytes, the region size must be its multiple
+ * @property {number}   [coalesce=0]   Collection window of the changes in milliseconds; the changes of several polls are
+ *                                     reported together, with the value before the window and the latest value
+ * @property {Function} [onError]      Called with the error of a failed poll or thrown by the callback, the polling goes on
+ */
+
+/**
+ * @typedef {Object} EnumerationOptions
+ *
+ * Iteration over the items of the Enum* methods, see {@link PCM#symbols symbols}.
+ *
+ * @property {number}   [concurrency=1] Number of indices requested ahead of the iteration
+ * @property {boolean}  [cache]         Iterate over the list cached by a previous complete iteration; false requests the
+ *                                      items again and replaces the cached list. By default symbols and variables are
+ *                                      cached until they are loaded, defined or deleted; the communication ports, links
+ *                                      and project files, which the service may change any time, are requested again
+ *                                      unless cache is true (links and project files are dropped by OpenProject).
+ * @property {Function} [isEnd]         Called with the error of an Enum* call, returns true when the error ends the list.
+ *                                      By default the list ends at a ServiceError of code 5, the index out of range code
+ *                                      of the mock service; set it for a service reporting the end of a list by another
+ *                                      error.
+ */
+
+/**
+ * @typedef {Object} SymbolTableOptions
+ *
+ * Building of the local symbol table, see {@link PCM#symbolTable symbolTable}.
+ *
+ * @property {boolean} [reload]       Build the table again even if it is still valid
+ * @property {number}  [batchSize=64] Number of GetSymbolInfo calls in one JSON-RPC batch, the batches are sent one after
+ *                                    another
+ */
+
+/**
+ * @typedef {Object} CallOptions
+ *
+ * Per-call options, see {@link PCM#WithOptions WithOptions}.
+ *
+ * @property {number} [timeout]  Request timeout in milliseconds, 0 waits for the response forever; time spent waiting for
+ *                               a free request slot (see maxInFlight) is not counted
+ * @property {string} [priority] Priority of the requests waiting for a free request slot: 'high', 'normal' or 'low';
+ *                               by default reads are 'normal' and writes and control commands are 'high'
+ * @property {boolean} [bigint]  Read 8-byte integers (ReadIntVariable, ReadUIntVariable, ReadIntArray, ReadUIntArray) as
+ *                               BigInt values, built from the memory bytes in the byte order of the target
+ * @property {boolean} [typedArrays] Return the arrays read by ReadMemory, ReadIntArray, ReadUIntArray, ReadFloatArray and
+ *                               ReadDoubleArray as TypedArrays of the element type (e.g. Int16Array, BigUint64Array)
+ */
+
 (function (root) {
   'use strict';
 
   if (typeof require !== 'undefined') {
     root.simple_jsonrpc = require('./simple-jsonrpc-js');
-    root.WebSocket = require('ws');
+    try {
+      root.WebSocket = require('ws');
+    } catch (e) {
+      /* The ws package is needed by the WebSocket transport only. */
+    }
+  }
+
+  var READY_STATE_OPEN = 1;
+
+  /* JSON-RPC events generated by the full FreeMASTER application. */
+  var EXTRA_EVENTS = ['OnBoardDetected', 'OnCommPortStateChanged', 'OnVariableChanged', 'OnRecorderDone'];
+
+  /* Events of the PCM object with the names of the listener arguments, see {@link PCM#on on}. */
+  var EVENTS = {
+    SocketOpen: ['event'],
+    SocketClose: ['event'],
+    SocketError: ['event'],
+    ServerError: ['error'],
+    Reconnecting: ['attempt', 'delay'],
+    Reconnected: ['event', 'failures'],
+    BoardDetected: [],
+    CommPortStateChanged: ['state'],
+    VariableChanged: ['name', 'id', 'value'],
+    RecorderDone: ['id'],
+    MemoryChanged: ['addr', 'changes']
+  };
+
+  /* Converts an object filter of the event listener to a predicate matching the named listener arguments. */
+  function EventFilter(name, filter) {
+    if (typeof filter === 'function') {
+      return filter;
+    }
+
+    return function() {
+      var args = arguments;
+
+      return Object.keys(filter).every((key) => args[EVENTS[name].indexOf(key)] === filter[key]);
+    };
+  }
+
+  /* Converts the 'name:type' notation of parameters to JSON-RPC schemas, '?' after the name marks an optional parameter. */
+  function Schemas(methods, result) {
+    var schemas = {};
+
+    Object.keys(methods).forEach(function(method) {
+      schemas[method] = {
+        params: methods[method].map(function(param) {
+          var name = param.split(':')[0];
+          var optional = name.slice(-1) === '?';
+
+          return { name: optional ? name.slice(0, -1) : name, type: param.split(':')[1], optional: optional };
+        }),
+        result: result
+      };
+    });
+
+    return schemas;
+  }
+
+  var ADDRESS = 'number|string';
+
+  /* Bytes of the board command buffer reserved for the command header (address and size) of the memory transfers. */
+  var CHUNK_OVERHEAD = 16;
+
+  /* Request priorities, the lower value is sent first. */
+  var PRIORITIES = { high: 0, normal: 1, low: 2 };
+
+  /* Methods sent with the normal priority by default, the other methods write or control the target. */
+  var READ_METHODS = /^(Read|Get|Enum|Is|PipeRead|PipeGet)/;
+
+  /* Every service method responds with { success, data, xtra, error }. */
+  var SERVICE_RESPONSE = { type: 'object', properties: { success: 'boolean' } };
+
+  /* Parameters of the service methods, validated before the request is sent. */
+  var METHOD_SCHEMAS = Schemas({
+    GetAppVersion: [],
+    EnumCommPorts: ['index:integer'],
+    GetCommPortInfo: ['name:string'],
+    StartComm: ['name?:string'],
+    StopComm: [],
+    IsCommPortOpen: [],
+    IsBoardDetected: [],
+    GetDetectedBoardInfo: [],
+    GetConfigParamU8: ['name:string'],
+    GetConfigParamULEB: ['name:string'],
+    GetConfigParamString: ['name:string', 'len?:integer'],
+    ReadIntVariable: ['addr:' + ADDRESS, 'size:integer'],
+    ReadUIntVariable: ['addr:' + ADDRESS, 'size:integer'],
+    ReadFloatVariable: ['addr:' + ADDRESS],
+    ReadDoubleVariable: ['addr:' + ADDRESS],
+    WriteIntVariable: ['addr:' + ADDRESS, 'size:integer', 'data:number|string'],
+    WriteUIntVariable: ['addr:' + ADDRESS, 'size:integer', 'data:number|string'],
+    WriteFloatVariable: ['addr:' + ADDRESS, 'data:number'],
+    WriteDoubleVariable: ['addr:' + ADDRESS, 'data:number'],
+    ReadMemory: ['addr:' + ADDRESS, 'size:integer'],
+    ReadIntArray: ['addr:' + ADDRESS, 'size:integer', 'elSize:integer'],
+    ReadUIntArray: ['addr:' + ADDRESS, 'size:integer', 'elSize:integer'],
+    ReadFloatArray: ['addr:' + ADDRESS, 'size:integer'],
+    ReadDoubleArray: ['addr:' + ADDRESS, 'size:integer'],
+    WriteMemory: ['addr:' + ADDRESS, 'data:array'],
+    WriteIntArray: ['addr:' + ADDRESS, 'elSize:integer', 'data:array'],
+    WriteUIntArray: ['addr:' + ADDRESS, 'elSize:integer', 'data:array'],
+    WriteFloatArray: ['addr:' + ADDRESS, 'data:array'],
+    WriteDoubleArray: ['addr:' + ADDRESS, 'data:array'],
+    ReadELF: ['elfFile?:string'],
+    ReadTSA: [],
+    EnumSymbols: ['index:integer'],
+    GetSymbolInfo: ['name:string'],
+    EnumVariables: ['index:integer'],
+    GetVariableInfo: ['name:string'],
+    DefineVariable: ['variable:object'],
+    DeleteVariable: ['name:string'],
+    DeleteAllScriptVariables: [],
+    ReadVariable: ['name:string'],
+    WriteVariable: ['name:string', 'value:number|string|boolean|array'],
+    SetupOscilloscope: ['id:integer', 'vars:array'],
+    GetOscilloscopeData: ['id:integer'],
+    GetRecorderLimits: ['id:integer'],
+    SetupRecorder: ['id:integer', 'config:object', 'recVars:array', 'trgVars?:array'],
+    StartRecorder: ['id:integer'],
+    StopRecorder: ['id:integer'],
+    GetRecorderStatus: ['id:integer'],
+    GetRecorderData: ['id:integer'],
+    PipeOpen: ['port:integer', 'txBufferSize?:integer', 'rxBufferSize?:integer'],
+    PipeClose: ['port:integer'],
+    PipeFlush: ['port:integer', 'timeout?:integer'],
+    PipeSetDefaultRxMode: ['rxAllOrNothing:boolean', 'rxTimeout_ms?:integer'],
+    PipeSetDefaultTxMode: ['txAllOrNothing:boolean'],
+    PipeSetDefaultStringMode: ['unicode:boolean'],
+    PipeGetRxBytes: ['port:integer'],
+    PipeGetTxBytes: ['port:integer'],
+    PipeGetTxFree: ['port:integer'],
+    PipeGetRxBufferSize: ['port:integer'],
+    PipeGetTxBufferSize: ['port:integer'],
+    PipeWriteString: ['port:integer', 'str:string', 'allOrNothing?:boolean', 'unicode?:boolean'],
+    PipeWriteIntArray: ['port:integer', 'elSize:integer', 'data:array', 'allOrNothing?:boolean'],
+    PipeWriteUIntArray: ['port:integer', 'elSize:integer', 'data:array', 'allOrNothing?:boolean'],
+    PipeWriteFloatArray: ['port:integer', 'data:array', 'allOrNothing?:boolean'],
+    PipeWriteDoubleArray: ['port:integer', 'data:array', 'allOrNothing?:boolean'],
+    PipeReadString: ['port:integer', 'rxTimeout_ms?:integer', 'charsToRead?:integer', 'allOrNothing?:boolean', 'unicode?:boolean'],
+    PipeReadIntArray: ['port:integer', 'elSize:integer', 'rxTimeout_ms?:integer', 'size?:integer', 'allOrNothing?:boolean'],
+    PipeReadUIntArray: ['port:integer', 'elSize:integer', 'rxTimeout_ms?:integer', 'size?:integer', 'allOrNothing?:boolean'],
+    PipeReadFloatArray: ['port:integer', 'rxTimeout_ms?:integer', 'size?:integer', 'allOrNothing?:boolean'],
+    PipeReadDoubleArray: ['port:integer', 'rxTimeout_ms?:integer', 'size?:integer', 'allOrNothing?:boolean'],
+    LocalFileOpen: ['file:string', 'mode?:string'],
+    LocalFileClose: ['handle:integer'],
+    LocalFileReadString: ['handle:integer', 'charsToRead?:integer', 'unicode?:boolean'],
+    LocalFileWriteString: ['handle:integer', 'str:string', 'unicode?:boolean', 'size?:integer'],
+    LogEnable: ['name:string', 'file?:string'],
+    LogDisable: [],
+    LogSetPattern: ['pattern:string'],
+    LogSetVerbosity: ['verbosity:integer'],
+    LogSetServices: ['mask:integer', 'services:integer'],
+    StartStopComm: ['start:boolean'],
+    EnableEvents: ['enable:boolean'],
+    SubscribeVariable: ['name:string', 'interval?:integer'],
+    UnSubscribeVariable: ['name_or_id:string|integer'],
+    DefineSymbol: ['name:string', 'address:' + ADDRESS, 'type?:string', 'size?:integer|string'],
+    GetStructMemberInfo: ['type:string', 'member:string'],
+    DeleteAllScriptSymbols: [],
+    RunStimulators: ['name:string'],
+    StopStimulators: ['name:string'],
+    Exit: [],
+    ActivateWindow: [],
+    SelectItem: ['name:string', 'tab?:string'],
+    OpenProject: ['name:string'],
+    IsBoardWithActiveContent: [],
+    EnumHrefLinks: ['index:integer'],
+    EnumProjectFiles: ['index:integer'],
+    SetPageReloadOnPortOpen: ['value:boolean'],
+    GetPageReloadOnPortOpen: [],
+    GetAddressInfo: ['addr:' + ADDRESS, 'size?:integer'],
+    DefineOscilloscope: ['name:string', 'defStr:string'],
+    DefineRecorder: ['name:string', 'defStr:string'],
+    SendCommand: ['send:string', 'wait?:boolean'],
+    GetCurrentRecorderState: [],
+    GetCurrentRecorderData: [],
+    GetCurrentRecorderSeries: ['name:string']
+  }, SERVICE_RESPONSE);
+
+  /* Parameters of the JSON-RPC events, extra params are ignored and malformed events are reported and dropped. */
+  var EVENT_SCHEMAS = Schemas({
+    OnBoardDetected: [],
+    OnCommPortStateChanged: ['state:boolean'],
+    OnVariableChanged: ['name:string', 'id:integer', 'value:any'],
+    OnRecorderDone: ['id?:integer']
+  });
+
+  Object.keys(EVENT_SCHEMAS).forEach(function(event) {
+    EVENT_SCHEMAS[event].additionalParams = true;
+  });
+
+  /* Fills in the defaults of the automatic reconnection settings. */
+  function ReconnectOptions(reconnect) {
+    if (reconnect === false) {
+      reconnect = { enabled: false };
+    }
+    reconnect = reconnect || {};
+
+    return {
+      enabled: reconnect.enabled !== false,
+      delay: reconnect.delay !== undefined ? reconnect.delay : 500,
+      maxDelay: reconnect.maxDelay !== undefined ? reconnect.maxDelay : 10000,
+      factor: reconnect.factor !== undefined ? reconnect.factor : 2,
+      maxAttempts: reconnect.maxAttempts !== undefined ? reconnect.maxAttempts : Infinity
+    };
   }
 
   /**
-   * @constructs PCM
-   * @classdesc PCM is an adapter class for FreeMASTER Lite API that handles the websocket connections to the service and command conversion to JSON-RPC format. It runs both on front-end (web browsers) and back-end (NodeJS).
-   * @description Creates an instance of PCM object.
+   * @constructs PCMError
+   * @classdesc Base class of the errors reported by PCM calls.
+   * @description Creates an error of a failed call.
    *
    * @example
-   * // Create a PCM instance
-   * function main() {
-   *     // main logic of the application
-   * };
-   * $(document).ready(function() {
-   *     var pcm = new PCM(window.location.host, main);
+   * pcm.ReadVariable("var16").catch(error => {
+   *     if (error instanceof PCM.TimeoutError) {
+   *         console.log("No response, the target may be disconnected.");
+   *     } else if (error instanceof PCM.ServiceError) {
+   *         console.log("FreeMASTER error " + error.code + ": " + error.msg);
+   *     }
+   *     console.log(error.method, error.args, error.message);
    * });
    *
-   * @example
-   * // Handle API calls using {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise Promises}
-   * pcm.PCM_Function(params)
-   *     .then(response => {
-   *         console.log("Procedure call succeeded and returned ", response.data);
-   *     })
-   *     .catch(error => {
-   *         console.log("Procedure call failed with the following error ", error);
-   *     });
+   * @param {string} detail   Error description.
+   * @param {string} [method] Name of the failed method.
+   * @param {Array}  [args]   Arguments of the failed method.
+   */
+  function PCMError(detail, method, args) {
+    this.message = method ? method + ': ' + detail : detail;
+    this.method = method;
+    this.args = args;
+
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, this.constructor);
+    } else {
+      this.stack = new Error(this.message).stack;
+    }
+  }
+
+  function ExtendError(Derived, Base, name) {
+    Derived.prototype = Object.create(Base.prototype);
+    Derived.prototype.constructor = Derived;
+    Derived.prototype.name = name;
+  }
+
+  ExtendError(PCMError, Error, 'PCMError');
+
+  /**
+   * @constructs TransportError
+   * @augments PCMError
+   * @classdesc The request could not be delivered or the response didn't arrive (connection closed, request queue full).
    *
-   * @example
-   * // Handle API calls as {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Operators/await async functions}
-   * try {
-   *     let response = await pcm.PCM_Function(params);
-   *     console.log("Procedure call succeeded and returned ", response.data);
-   * } catch (err) {
-   *     console.log("Procedure call failed with the following error ", error);
-   * }
+   * @param {string} detail   Error description.
+   * @param {string} [method] Name of the failed method.
+   * @param {Array}  [args]   Arguments of the failed method.
+   */
+  function TransportError(detail, method, args) {
+    PCMError.call(this, detail, method, args);
+  }
+
+  ExtendError(TransportError, PCMError, 'TransportError');
+
+  /**
+   * @constructs TimeoutError
+   * @augments TransportError
+   * @classdesc The response didn't arrive in time.
    *
-   * @param {string}   url           The address of the web server.
-   * @param {Function} onSocketOpen  WebSocket open event handler.
-   * @param {Function} onSocketClose WebSocket close event handler.
-   * @param {Function} onSocketError WebSocket error event handler.
+   * @param {string} method  Name of the failed method.
+   * @param {Array}  args    Arguments of the failed method.
+   * @param {number} timeout Timeout in milliseconds.
    */
-  var PCM = function(url, onSocketOpen, onSocketClose, onSocketError) {
+  function TimeoutError(method, args, timeout) {
+    PCMError.call(this, 'timed out after ' + timeout + ' ms', method, args);
+    this.timeout = timeout;
+  }
 
-    var jrpc = new root.simple_jsonrpc();
-    var socket = new root.WebSocket('ws://' + url);
+  ExtendError(TimeoutError, TransportError, 'TimeoutError');
 
-    this.OnServerError = console.log;
-    this.OnSocketOpen = onSocketOpen || console.log;
-    this.OnSocketClose = onSocketClose || console.log;
-    this.OnSocketError = onSocketError || console.log;
+  /**
+   * @constructs ProtocolError
+   * @augments PCMError
+   * @classdesc JSON-RPC error (e.g. method not found or invalid params). The code property holds the JSON-RPC error code.
+   * Arguments not matching the method parameters are rejected before the request is sent, with code -32602.
+   *
+   * @param {Object} error  JSON-RPC error object.
+   * @param {string} method Name of the failed method.
+   * @param {Array}  args   Arguments of the failed method.
+   */
+  function ProtocolError(error, method, args) {
+    PCMError.call(this, 'JSON-RPC error ' + error.code + ' ' + error.message, method, args);
+    this.code = error.code;
+    this.data = error.data;
+  }
+
+  ExtendError(ProtocolError, PCMError, 'ProtocolError');
+
+  /**
+   * @constructs ServiceError
+   * @augments PCMError
+   * @classdesc The FreeMASTER service or the target failed to process the request (the response has success:false).
+   * The code and msg properties hold the service error.
+   *
+   * @param {Object} error  Error property of the service response.
+   * @param {string} method Name of the failed method.
+   * @param {Array}  args   Arguments of the failed method.
+   */
+  function ServiceError(error, method, args) {
+    error = error || {};
+    PCMError.call(this, (error.msg || 'service error') + ' (code ' + error.code + ')', method, args);
+    this.code = error.code;
+    this.msg = error.msg;
+  }
+
+  ExtendError(ServiceError, PCMError, 'ServiceError');
+
+  /* Converts a rejection of the JSON-RPC layer to a typed error of the failed call. */
+  function CallError(error, method, args) {
+    if (error instanceof root.simple_jsonrpc.TimeoutError) {
+      return new TimeoutError(method, args, error.timeout);
+    } else if (error instanceof root.simple_jsonrpc.SchemaError) {
+      return new ProtocolError({ code: error.code, message: error.data }, method, args);
+    } else if (error instanceof TransportError && !error.method) {
+      return new TransportError(error.message, method, args);
+    } else if (error instanceof PCMError) {
+      return error;
+    } else if (error instanceof Error) {
+      return new TransportError(error.message, method, args);
+    }
+
+    return new ProtocolError(error, method, args);
+  }
 
-    jrpc.toStream = function(_msg) {
-      socket.send(_msg);
+  /**
+   * @constructs Variable
+   * @classdesc Variable of the target application, created by {@link PCM#variable PCM.variable}. The variable is defined
+   * in the service on its first use; when its address is a symbol name, the definition waits until the symbols are
+   * loaded by ReadTSA or ReadELF.
+   * @hideconstructor
+   *
+   * @property {string}       name      Variable name.
+   * @property {VariableInfo} info      Variable information, null until the variable is defined. The bitfield property
+   *                                    holds the shift, mask and flags handled by the Variable object, if defined.
+   * @property {*}            value     Last known value, undefined until the variable is read, written or changed;
+   *                                    BigInt for 8-byte integer variables.
+   * @property {number}       timestamp Time of the last known value in milliseconds since the epoch, 0 if unknown.
+   *
+   * @param {PCM}      pcm    The PCM object.
+   * @param {string}   name   Variable name.
+   * @param {Function} define Function defining the variable, resolves to the variable information.
+   */
+  function Variable(pcm, name, define) {
+    var subscribers = 0;
+    var subscription = null;
+
+    this.name = name;
+    this.info = null;
+    this.value = undefined;
+    this.timestamp = 0;
+
+    var update = (value) => {
+      this.value = value;
+      this.timestamp = Date.now();
+      return value;
     };
 
-    socket.onopen = function(event) {
-      this.OnSocketOpen(event);
-    }.bind(this);
+    /* Read-modify-write sequences of the bit field, chained so they don't overlap. */
+    var modifying = Promise.resolve();
 
-    socket.onclose = function(event) {
-      this.OnSocketClose(event);
-    }.bind(this);
+    var defined = () => define().then((info) => {
+      this.info = info;
+    });
+
+    /* Fractional variables are converted unless the raw values are requested. */
+    var fract = (options) => !(options && options.raw) && (this.info.type === 'fract' || this.info.type === 'ufract');
+
+    /* 8-byte integers are read and written as BigInt values. */
+    var int64 = () => this.info.size === 8 && (this.info.type === 'int' || this.info.type === 'uint') && !this.info.bitfield;
+
+    /* Bit fields are extracted unless the raw register values are requested. */
+    var bitfield = (options) => !(options && options.raw) && this.info.bitfield;
+
+    /*
+     * Reads the register, replaces the bit field with the value returned by change and writes the register back.
+     * The requests go with high priority to keep the window between the read and the write short; the target
+     * itself is not locked, so the written value is read back and verified.
+     */
+    var modify = (change) => {
+      var urgent = pcm.WithOptions({ priority: 'high' });
+
+      var sequence = modifying.then(defined).then(() => urgent.ReadVariable(name)).then((response) => {
+        var field = this.info.bitfield;
+        var value = change(FieldValue(response.data, field));
+        var raw = FieldRaw(response.data, value, field);
+
+        if (FieldValue(raw, field) !== value) {
+          throw new RangeError(value + ' does not fit the bit field of ' + name);
+        }
+
+        return urgent.WriteVariable(name, raw)
+          .then(() => urgent.ReadVariable(name))
+          .then((readBack) => {
+            if (FieldValue(readBack.data, field) !== value) {
+              throw new PCMError('read back ' + FieldValue(readBack.data, field) + ' instead of ' + value, 'write', [name, value]);
+            }
+            return update(value);
+          });
+      });
+
+      modifying = sequence.catch(() => {});
+      return sequence;
+    };
+
+    /* Returns the bit numbers of the named flags in the bit field value, the variable must be defined. */
+    var flagBits = (method) => {
+      var field = this.info.bitfield;
+
+      if (!field) {
+        throw new PCMError('variable has no bit field, define its shift, mask or flags', method, [name]);
+      }
+
+      Object.keys(field.flags).forEach((flag) => {
+        var bit = field.flags[flag];
+
+        if (!Number.isInteger(bit) || bit < 0 || bit > 31) {
+          throw new RangeError('Bit ' + bit + ' of flag ' + flag + ' is not a bit of the 32-bit field');
+        }
+      });
+
+      return field.flags;
+    };
+
+    /**
+     * Reads the variable value. Values of fractional variables (fract and ufract types) are converted to floating point
+     * numbers using the q_n of the variable information.
+     *
+     * @example
+     * pcm.variable("var16", { type: "uint", size: 2 }).read().then(value => console.log(value));
+     *
+     * @example
+     * let current = pcm.variable("current", { type: "fract", size: 2, q_m: 0, q_n: 15 });
+     * current.read().then(value => console.log(value));                 // e.g. 0.25
+     * current.read({ raw: true }).then(value => console.log(value));    // e.g. 8192
+     *
+     * @example
+     * // Bits 4..7 of a status register
+     * let mode = pcm.variable("varStatus", { type: "uint", size: 2, shift: 4, mask: 0xF0 });
+     * mode.read().then(value => console.log("mode " + value));
+     *
+     * @param   {FractOptions} [options] Conversion options, only raw applies; raw values of bit fields are the whole register.
+     * @returns {Promise} Resolved promise will contain the variable value.
+     */
+    this.read = function(options) {
+      return defined()
+        .then(() => {
+          if (int64()) {
+            var method = this.info.type === 'int' ? 'ReadIntVariable' : 'ReadUIntVariable';
+            return pcm.WithOptions({ bigint: true })[method](this.info.addr, 8);
+          }
+          return pcm.ReadVariable(name);
+        })
+        .then((response) => {
+          if (bitfield(options)) {
+            return update(FieldValue(response.data, this.info.bitfield));
+          }
+          return update(fract(options) ? FractToFloat(response.data, this.info) : response.data);
+        });
+    };
+
+    /**
+     * Writes the variable value. Values of fractional variables (fract and ufract types) are converted from floating
+     * point numbers, rounded and saturated according to the options.
+     *
+     * @example
+     * pcm.variable("var16inc", { type: "uint", size: 2 }).write(10).then(() => console.log("Value written."));
+     *
+     * @example
+     * current.write(1.5).then(value => console.log(value));                   // 0.999969482421875, saturated Q0.15
+     * current.write(1.5, { saturate: false }).catch(error => console.log(error.message));
+     *
+     * @example
+     * // Bit fields are written by read-modify-write, the other bits of the register are preserved
+     * mode.write(3).catch(error => console.log(error.message));
+     *
+     * @param   {*}            value     Value to be written.
+     * @param   {FractOptions} [options] Conversion options; raw values of bit fields are written to the whole register.
+     * @returns {Promise} Resolved promise will contain the written value, as represented in the target.
+     */
+    this.write = function(value, options) {
+      return defined()
+        .then(() => {
+          if (bitfield(options)) {
+            return modify(() => value);
+          }
+          if (int64()) {
+            var method = this.info.type === 'int' ? 'WriteIntVariable' : 'WriteUIntVariable';
+            return pcm[method](this.info.addr, 8, BigInt(value)).then(() => update(BigInt(value)));
+          }
+
+          var converted = fract(options);
+          var raw = converted ? FloatToFract(value, this.info, options) : value;
+
+          return pcm.WriteVariable(name, raw)
+            .then(() => update(converted ? FractToFloat(raw, this.info) : raw));
+        });
+    };
+
+    /**
+     * Reads the bit field and decodes the named flags given by the flags property of the variable definition, which maps
+     * the flag names to the bit numbers of the bit field value.
+     *
+     * @example
+     * let status = pcm.variable("varStatus", { type: "uint", size: 2, flags: { ready: 0, overcurrent: 3 } });
+     * status.readFlags().then(flags => flags.overcurrent && console.log("Overcurrent!"));
+     *
+     * @returns {Promise} Resolved promise will contain an object mapping the flag names to booleans, or rejected when the
+     *                   variable has no bit field or a flag is not one of the bits 0 to 31.
+     */
+    this.readFlags = function() {
+      return defined().then(() => {
+        var bits = flagBits('readFlags');
+
+        return this.read().then((value) => {
+          var flags = {};
+
+          Object.keys(bits).forEach((flag) => {
+            flags[flag] = ((value >>> bits[flag]) & 1) === 1;
+          });
+
+          return flags;
+        });
+      });
+    };
+
+    /**
+     * Sets or clears the named flags by read-modify-write, the flags not specified keep their value.
+     * @see {@link Variable#readFlags readFlags}
+     *
+     * @example
+     * status.writeFlags({ overcurrent: false });
+     *
+     * @param   {Object} flags Object mapping the flag names to booleans.
+     * @returns {Promise} Resolved promise will contain the written bit field value, rejected as by readFlags.
+     */
+    this.writeFlags = function(flags) {
+      return defined().then(() => {
+        var bits = flagBits('writeFlags');
+
+        return modify((value) => {
+          Object.keys(flags).forEach((flag) => {
+            var bit = bits[flag];
+
+            if (bit === undefined) {
+              throw new Error('Unknown flag: ' + flag);
+            }
+            value = flags[flag] ? (value | (1 << bit)) >>> 0 : (value & ~(1 << bit)) >>> 0;
+          });
+
+          return value;
+        });
+      });
+    };
+
+    /**
+     * Subscribes to the changes of the variable value. Several callbacks share one subscription in the service, which is
+     * created with the interval of the first one. Needs the events of the FreeMASTER application, see
+     * {@link PCM#EnableExtraFeatures EnableExtraFeatures}.
+     *
+     * @example
+     * pcm.EnableExtraFeatures(true);
+     * let var16 = pcm.variable("var16", { type: "uint", size: 2 });
+     * var16.subscribe(value => console.log("var16 = " + value), 100)
+     *     .then(unsubscribe => setTimeout(unsubscribe, 10000));
+     *
+     * @param   {Function} callback   Function called with the new value and the Variable object.
+     * @param   {number}   [interval] Sampling interval in milliseconds.
+     * @returns {Promise} Resolved promise will contain a function which cancels the subscription.
+     */
+    this.subscribe = function(callback, interval) {
+      if (typeof pcm.SubscribeVariable !== 'function') {
+        return Promise.reject(new PCMError('needs the extra features, see EnableExtraFeatures', 'subscribe', [name]));
+      }
+
+      var active = true;
+      var off = pcm.on('VariableChanged', { name: name }, (changed, id, value) => callback(update(value), this));
+
+      if (subscribers++ === 0) {
+        subscription = defined()
+          .then(() => pcm.EnableEvents(true))
+          .then(() => pcm.SubscribeVariable(name, interval));
+      }
+
+      var unsubscribe = () => {
+        if (!active) {
+          return Promise.resolve();
+        }
+
+        active = false;
+        off();
+
+        if (--subscribers === 0) {
+          subscription = null;
+          return pcm.UnSubscribeVariable(name).then(() => undefined);
+        }
+        return Promise.resolve();
+      };
+
+      /* The service may not know the failed subscription, the error of its removal is not of interest. */
+      return subscription.then(() => unsubscribe, (error) => {
+        unsubscribe().catch(() => {});
+        throw error;
+      });
+    };
+  }
+
+  /**
+   * @constructs SymbolTable
+   * @classdesc Local copy of the symbol table of the target application, returned by {@link PCM#symbolTable PCM.symbolTable}.
+   * The lookups don't need any requests to the service.
+   * @hideconstructor
+   *
+   * @property {number}        size     Number of symbols.
+   * @property {Array<Object>} failures Symbols left out of the table, with the name and the error of their GetSymbolInfo
+   *                                    call.
+   *
+   * @param {Array<SymbolInfo>} symbols    Symbols of the table.
+   * @param {Array<Object>}     [failures] Symbols left out of the table.
+   */
+  function SymbolTable(symbols, failures) {
+    var names = new Map(symbols.map((symbol) => [symbol.name, symbol]));
+
+    /* Symbols by address (the larger first at the same address) with the highest end address up to each index. */
+    var byAddr = symbols.slice().sort((a, b) => a.addr - b.addr || b.size - a.size);
+    var end = 0;
+    var ends = byAddr.map((symbol) => (end = Math.max(end, symbol.addr + Math.max(symbol.size, 1))));
+
+    /* Symbols by lower case name for the prefix search. */
+    var byName = symbols.map((symbol) => ({ key: symbol.name.toLowerCase(), symbol: symbol }))
+      .sort((a, b) => (a.key < b.key ? -1 : (a.key > b.key ? 1 : 0)));
+
+    this.size = symbols.length;
+    this.failures = failures || [];
+
+    /**
+     * Returns the symbol of the name.
+     *
+     * @example
+     * pcm.symbolTable().then(table => console.log(table.get("var16").addr));
+     *
+     * @param   {string} name Symbol name.
+     * @returns {SymbolInfo} The symbol information, undefined for unknown names.
+     */
+    this.get = function(name) {
+      return names.get(name);
+    };
+
+    /**
+     * Finds the symbol containing an address, e.g. of a fault PC or a pointer value. Of nested symbols, the one starting
+     * closest to the address is returned.
+     *
+     * @example
+     * table.at(0x20000033); // { symbol: { name: "arr16", addr: 0x20000030, ... }, offset: 3 }
+     *
+     * @param   {number} addr Address value.
+     * @returns {Object} Object with the symbol and the offset of the address in it, null when no symbol contains the address.
+     */
+    this.at = function(addr) {
+      var low = 0;
+      var high = byAddr.length;
+
+      while (low < high) {
+        var middle = (low + high) >>> 1;
+
+        if (byAddr[middle].addr <= addr) {
+          low = middle + 1;
+        } else {
+          high = middle;
+        }
+      }
+
+      for (var index = low - 1; index >= 0 && ends[index] > addr; index--) {
+        if (addr < byAddr[index].addr + Math.max(byAddr[index].size, 1)) {
+          return { symbol: byAddr[index], offset: addr - byAddr[index].addr };
+        }
+      }
+
+      return null;
+    };
+
+    /**
+     * Searches the symbols by name and type. The name prefix is matched case-insensitively and the results are sorted by
+     * name; the fuzzy search matches the query characters in order anywhere in the name and sorts the results by the
+     * match quality, consecutive characters and matches at the name start rank first.
+     *
+     * @example
+     * table.find("var");                                 // symbols starting with 'var'
+     * table.find("cfg", { fuzzy: true, limit: 10 });     // e.g. appConfig
+     * table.find("", { type: /^uint/ });                 // all unsigned integer symbols
+     *
+     * @param   {string}  query              Name prefix, or the characters of the fuzzy search.
+     * @param   {Object}  [options]          Search options.
+     * @param   {boolean} [options.fuzzy]    Fuzzy search instead of the prefix search.
+     * @param   {string|RegExp} [options.type] Symbol type, or a pattern matching it.
+     * @param   {number}  [options.limit]    Maximum number of results.
+     * @returns {Array<SymbolInfo>} The matching symbols.
+     */
+    this.find = function(query, options) {
+      options = options || {};
+      query = query.toLowerCase();
+
+      var type = options.type;
+      var typeMatches = (symbol) => type === undefined || (type instanceof RegExp ? type.test(symbol.type) : symbol.type === type);
+      var limit = options.limit !== undefined ? options.limit : Infinity;
+      var found = [];
+
+      if (options.fuzzy) {
+        return byName
+          .map((entry) => ({ symbol: entry.symbol, score: FuzzyScore(entry.key, query) }))
+          .filter((match) => match.score >= 0 && typeMatches(match.symbol))
+          .sort((a, b) => b.score - a.score || a.symbol.name.length - b.symbol.name.length)
+          .slice(0, limit)
+          .map((match) => match.symbol);
+      }
+
+      var low = 0;
+      var high = byName.length;
+
+      while (low < high) {
+        var middle = (low + high) >>> 1;
+
+        if (byName[middle].key < query) {
+          low = middle + 1;
+        } else {
+          high = middle;
+        }
+      }
+
+      for (var index = low; index < byName.length && found.length < limit && byName[index].key.startsWith(query); index++) {
+        if (typeMatches(byName[index].symbol)) {
+          found.push(byName[index].symbol);
+        }
+      }
+
+      return found;
+    };
+  }
+
+  /* Scores a fuzzy match of the query characters in the name, -1 if they are not all found in order. */
+  function FuzzyScore(name, query) {
+    var score = 0;
+    var last = -1;
+
+    for (var i = 0; i < query.length; i++) {
+      var index = name.indexOf(query[i], last + 1);
+
+      if (index < 0) {
+        return -1;
+      }
+
+      score += index === last + 1 ? 2 : (/[^a-z0-9]/.test(name[index - 1]) ? 1 : 0);
+      last = index;
+    }
+
+    return score;
+  }
+
+  var ROUNDING = { nearest: Math.round, floor: Math.floor, ceil: Math.ceil, trunc: Math.trunc };
+
+  /* Completes the fractional format, the bits missing in q_m/q_n are assigned to the other part. */
+  function FractFormat(format) {
+    var signed = format.type !== 'ufract';
+    var bits = format.size * 8 - (signed ? 1 : 0);
+    var q_n = format.q_n !== undefined ? format.q_n : (format.q_m !== undefined ? bits - format.q_m : bits);
+
+    return {
+      signed: signed,
+      q_n: q_n,
+      q_m: format.q_m !== undefined ? format.q_m : bits - q_n
+    };
+  }
+
+  /**
+   * Converts a raw fractional value read from the target to a floating point number.
+   *
+   * @example
+   * PCM.FractToFloat(16384, { type: "fract", size: 2 }); // 0.5 in Q0.15
+   *
+   * @param   {number}      raw    Raw integer value.
+   * @param   {FractFormat} format Fractional format.
+   * @returns {number} The floating point value.
+   */
+  function FractToFloat(raw, format) {
+    return raw / Math.pow(2, FractFormat(format).q_n);
+  }
+
+  /**
+   * Converts a floating point number to the raw fractional value to be written to the target.
+   *
+   * @example
+   * PCM.FloatToFract(0.5, { type: "fract", size: 2 });                         // 16384
+   * PCM.FloatToFract(1.0, { type: "fract", size: 2 });                         // 32767, saturated
+   * PCM.FloatToFract(0.1, { type: "fract", size: 2 }, { rounding: "floor" });  // 3276
+   *
+   * @param   {number}       value     Floating point value, NaN and infinities throw a RangeError.
+   * @param   {FractFormat}  format    Fractional format.
+   * @param   {FractOptions} [options] Rounding and saturation.
+   * @returns {number} The raw integer value.
+   */
+  function FloatToFract(value, format, options) {
+    options = options || {};
+    format = FractFormat(format);
+
+    var round = ROUNDING[options.rounding || 'nearest'];
+    if (!round) {
+      throw new Error('Unknown rounding: ' + options.rounding);
+    }
+
+    if (!Number.isFinite(value)) {
+      throw new RangeError(value + ' has no fractional value');
+    }
+
+    var bits = format.q_m + format.q_n;
+    var min = format.signed ? -Math.pow(2, bits) : 0;
+    var max = Math.pow(2, bits) - 1;
+    var raw = round(value * Math.pow(2, format.q_n));
+
+    if (raw >= min && raw <= max) {
+      return raw;
+    } else if (options.saturate === false) {
+      throw new RangeError(value + ' is out of range of ' + (format.signed ? '' : 'unsigned ') + 'Q' + format.q_m + '.' + format.q_n);
+    }
+
+    return raw < min ? min : max;
+  }
+
+  /* DataView accessors of the target data types, by type and size. */
+  var CODECS = {
+    int: { 1: 'Int8', 2: 'Int16', 4: 'Int32', 8: 'BigInt64' },
+    uint: { 1: 'Uint8', 2: 'Uint16', 4: 'Uint32', 8: 'BigUint64' },
+    float: { 4: 'Float32' },
+    double: { 8: 'Float64' }
+  };
+
+  function Codec(type, size) {
+    var codec = CODECS[type] && CODECS[type][size];
+
+    if (!codec) {
+      throw new Error('Unsupported data type: ' + type + ' of size ' + size);
+    }
+
+    return codec;
+  }
+
+  /* TypedArray constructors by the DataView accessors of CODECS. */
+  var TYPED_ARRAYS = {
+    Int8: Int8Array, Int16: Int16Array, Int32: Int32Array, BigInt64: BigInt64Array,
+    Uint8: Uint8Array, Uint16: Uint16Array, Uint32: Uint32Array, BigUint64: BigUint64Array,
+    Float32: Float32Array, Float64: Float64Array
+  };
+
+  function TypedArrayOf(type, size) {
+    return TYPED_ARRAYS[Codec(type, size)];
+  }
+
+  /*
+   * Converts the TypedArray data of the array writes to a plain array. The elements must be of the written type and size,
+   * integers are accepted in both signed and unsigned arrays.
+   */
+  function ArrayData(data, type, size) {
+    if (!ArrayBuffer.isView(data)) {
+      return data;
+    }
+
+    var integer = type === 'int' || type === 'uint';
+    var accepted = integer ? [TypedArrayOf('int', size), TypedArrayOf('uint', size)] : [TypedArrayOf(type, size)];
+
+    if (!accepted.some((constructor) => data instanceof constructor)) {
+      throw new TypeError(data.constructor.name + ' does not match the ' + type + ' elements of size ' + size);
+    }
+
+    return Array.from(data);
+  }
+
+  /* Decodes a value of the target data type from the memory bytes; 8-byte integers are decoded as BigInt values. */
+  function DecodeValue(view, offset, type, size, littleEndian) {
+    return view['get' + Codec(type, size)](offset, littleEndian);
+  }
+
+  /* Encodes a value of the target data type to the memory bytes; 8-byte integers accept BigInt values and numbers. */
+  function EncodeValue(view, offset, type, size, value, littleEndian) {
+    var codec = Codec(type, size);
+
+    view['set' + codec](offset, codec.indexOf('Big') === 0 ? BigInt(value) : value, littleEndian);
+  }
+
+  /* Parses a member type of a structure layout to an object with type, count and the fractional format or the members. */
+  function StructMember(member) {
+    if (typeof member !== 'string') {
+      return member;
+    }
+
+    var match = /^(\w+)(?:\[(\d+)\])?$/.exec(member);
+
+    if (!match) {
+      throw new Error('Invalid member type: ' + member);
+    }
+
+    return { type: match[1], count: match[2] !== undefined ? Number(match[2]) : undefined };
+  }
+
+  /* Decodes a structure member element; fractional values are converted to floating point numbers. */
+  function DecodeMember(view, offset, format, size, littleEndian) {
+    if (format.type === 'fract' || format.type === 'ufract') {
+      var raw = DecodeValue(view, offset, format.type === 'fract' ? 'int' : 'uint', size, littleEndian);
+      return FractToFloat(Number(raw), Object.assign({}, format, { size: size }));
+    }
+
+    return DecodeValue(view, offset, format.type, size, littleEndian);
+  }
+
+  /* Encodes a structure member element; floating point values of fractional members are converted to the raw values. */
+  function EncodeMember(view, offset, format, size, value, littleEndian) {
+    if (format.type === 'fract' || format.type === 'ufract') {
+      var raw = FloatToFract(value, Object.assign({}, format, { size: size }));
+      EncodeValue(view, offset, format.type === 'fract' ? 'int' : 'uint', size, raw, littleEndian);
+    } else {
+      EncodeValue(view, offset, format.type, size, value, littleEndian);
+    }
+  }
+
+  /* Decodes the structure fields (see StructFields of PCM) to an object. */
+  function DecodeStruct(view, fields, littleEndian) {
+    var result = {};
+
+    fields.forEach((field) => {
+      var element = (index) => field.elements ? DecodeStruct(view, field.elements[index], littleEndian)
+        : DecodeMember(view, field.offset + index * field.elSize, field.format, field.elSize, littleEndian);
+
+      result[field.name] = field.count === undefined ? element(0) : Array.from({ length: field.count }, (_, index) => element(index));
+    });
+
+    return result;
+  }
+
+  /* Encodes the values given for the structure fields, returns the encoded leaf fields. Missing values are skipped. */
+  function EncodeStruct(view, fields, values, littleEndian) {
+    var encoded = [];
+
+    fields.filter((field) => values[field.name] !== undefined).forEach((field) => {
+      var value = values[field.name];
+      var element = (index, value) => {
+        if (field.elements) {
+          encoded = encoded.concat(EncodeStruct(view, field.elements[index], value, littleEndian));
+        } else {
+          EncodeMember(view, field.offset + index * field.elSize, field.format, field.elSize, value, littleEndian);
+        }
+      };
+
+      if (field.count === undefined) {
+        element(0, value);
+      } else {
+        value.forEach((item, index) => item !== undefined && index < field.count && element(index, item));
+      }
+      if (!field.elements) {
+        encoded.push(field);
+      }
+    });
+
+    return encoded;
+  }
+
+  /*
+   * Service error code of an Enum* index beyond the end of the list, as returned by the mock service
+   * (tools/freemaster-mock-server.js); services ending the lists by another error are handled by the isEnd option.
+   */
+  var INDEX_OUT_OF_RANGE = 5;
+
+  /* Ends the Enum* lists by default, at the ServiceError of the index out of range. */
+  function IndexOutOfRange(error) {
+    return error instanceof ServiceError && error.code === INDEX_OUT_OF_RANGE;
+  }
+
+  /* Enum* lists cached by default, they change only by the calls of the client. */
+  var CACHED_ENUMERATIONS = ['EnumSymbols', 'EnumVariables'];
+
+  /* Items of the Enum* responses. */
+  var ENUMERATIONS = {
+    EnumCommPorts: (response) => response.data,
+    EnumSymbols: (response) => response.data,
+    EnumVariables: (response) => response.data,
+    EnumHrefLinks: (response) => response.xtra,
+    EnumProjectFiles: (response) => response.xtra
+  };
+
+  /* Collects the values of an async iterator to an array. */
+  function Collect(iterator) {
+    var items = [];
+    var next = () => iterator.next().then((result) => {
+      if (result.done) {
+        return items;
+      }
+      items.push(result.value);
+      return next();
+    });
+
+    return next();
+  }
+
+  /* Image formats by the file name extensions, see PCM.loadImage; other files are raw binary images. */
+  var IMAGE_EXTENSIONS = {
+    hex: 'ihex', ihex: 'ihex', ihx: 'ihex',
+    srec: 'srec', s19: 'srec', s28: 'srec', s37: 'srec', mot: 'srec'
+  };
+
+  function Hex(value, digits) {
+    return ('0000000' + value.toString(16).toUpperCase()).slice(-digits);
+  }
+
+  /* Formats an Intel HEX record, :LLAAAATT followed by the data bytes and the two's complement checksum. */
+  function IntelHexRecord(type, addr, data) {
+    var bytes = [data.length, (addr >>> 8) & 0xFF, addr & 0xFF, type].concat(Array.from(data));
+    var sum = bytes.reduce((sum, byte) => sum + byte, 0);
+
+    return ':' + bytes.map((byte) => Hex(byte, 2)).join('') + Hex(-sum & 0xFF, 2);
+  }
+
+  /* Formats an S-record, STCC followed by the address and data bytes and the ones' complement checksum. */
+  function SRecord(type, addrSize, addr, data) {
+    var bytes = [addrSize + data.length + 1];
+
+    for (var shift = (addrSize - 1) * 8; shift >= 0; shift -= 8) {
+      bytes.push((addr >>> shift) & 0xFF);
+    }
+    bytes = bytes.concat(Array.from(data));
+
+    return 'S' + type + bytes.map((byte) => Hex(byte, 2)).join('') + Hex(~bytes.reduce((sum, byte) => sum + byte, 0) & 0xFF, 2);
+  }
+
+  /* Calls record for each record of the segments, the records don't cross the 64 KiB boundaries. */
+  function ForEachRecord(segments, recordSize, record) {
+    segments.forEach((segment) => {
+      var offset = 0;
+
+      while (offset < segment.data.length) {
+        var addr = segment.addr + offset;
+        var length = Math.min(recordSize, segment.data.length - offset, 0x10000 - (addr & 0xFFFF));
+
+        record(addr, segment.data.subarray(offset, offset + length));
+        offset += length;
+      }
+    });
+  }
+
+  /* Encodes the memory segments { addr, data } to the image of the format, a string or the Uint8Array of raw images. */
+  function EncodeImage(segments, format, recordSize) {
+    var end = Math.max.apply(null, segments.map((segment) => segment.addr + segment.data.length));
+    var lines = [];
+
+    if (end > 0x100000000) {
+      throw new RangeError('Memory image exceeds the 32-bit address space');
+    }
+
+    switch (format) {
+      case 'raw':
+        return segments[0].data;
+      case 'ihex':
+        var upper = 0;
+
+        ForEachRecord(segments, recordSize, (addr, data) => {
+          if (addr >>> 16 !== upper) {
+            upper = addr >>> 16;
+            lines.push(IntelHexRecord(4, 0, [upper >>> 8, upper & 0xFF]));
+          }
+          lines.push(IntelHexRecord(0, addr & 0xFFFF, data));
+        });
+        lines.push(IntelHexRecord(1, 0, []));
+        break;
+      case 'srec':
+        /* S1/S9 records for 16-bit addresses, S2/S8 for 24-bit and S3/S7 for 32-bit */
+        var addrSize = end <= 0x10000 ? 2 : (end <= 0x1000000 ? 3 : 4);
+
+        lines.push(SRecord(0, 2, 0, []));
+        ForEachRecord(segments, recordSize, (addr, data) => lines.push(SRecord(addrSize - 1, addrSize, addr, data)));
+        lines.push(lines.length - 1 <= 0xFFFF ? SRecord(5, 2, lines.length - 1, []) : SRecord(6, 3, lines.length - 1, []));
+        lines.push(SRecord(11 - addrSize, addrSize, 0, []));
+        break;
+      default:
+        throw new Error('Unknown image format: ' + format);
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /* Parses the hex digits of a record to bytes. */
+  function RecordBytes(hex, line, format) {
+    if (!/^([0-9A-Fa-f]{2})+$/.test(hex)) {
+      throw new Error(format + ' line ' + line + ': invalid record');
+    }
+
+    return hex.match(/../g).map((byte) => parseInt(byte, 16));
+  }
+
+  /* Appends the record data to the segments, contiguous records are merged. */
+  function AddSegment(segments, addr, data) {
+    var last = segments[segments.length - 1];
+
+    if (last && last.addr + last.data.length === addr) {
+      last.data = last.data.concat(data);
+    } else {
+      segments.push({ addr: addr, data: data });
+    }
+  }
+
+  /* Parses the Intel HEX image to the memory segments. */
+  function ParseIntelHex(text) {
+    var segments = [];
+    var base = 0;
+    var lines = text.split(/\r?\n/);
+
+    for (var index = 0; index < lines.length; index++) {
+      var line = lines[index].trim();
+
+      if (!line) {
+        continue;
+      }
+      if (line[0] !== ':') {
+        throw new Error('Intel HEX line ' + (index + 1) + ': missing record mark');
+      }
+
+      var bytes = RecordBytes(line.slice(1), index + 1, 'Intel HEX');
+
+      if (bytes.length < 5 || bytes[0] !== bytes.length - 5) {
+        throw new Error('Intel HEX line ' + (index + 1) + ': invalid record length');
+      }
+      if (bytes.reduce((sum, byte) => sum + byte, 0) & 0xFF) {
+        throw new Error('Intel HEX line ' + (index + 1) + ': checksum mismatch');
+      }
+
+      switch (bytes[3]) {
+        case 0:
+          AddSegment(segments, base + ((bytes[1] << 8) | bytes[2]), bytes.slice(4, -1));
+          break;
+        case 1:
+          return segments;
+        case 2:
+          base = ((bytes[4] << 8) | bytes[5]) * 16;
+          break;
+        case 4:
+          base = ((bytes[4] << 8) | bytes[5]) * 0x10000;
+          break;
+        case 3:
+        case 5:
+          /* start address */
+          break;
+        default:
+          throw new Error('Intel HEX line ' + (index + 1) + ': unknown record type ' + bytes[3]);
+      }
+    }
+
+    return segments;
+  }
+
+  /* Parses the S-record image to the memory segments. */
+  function ParseSRecord(text) {
+    var segments = [];
+
+    text.split(/\r?\n/).forEach((line, index) => {
+      line = line.trim();
+
+      if (!line) {
+        return;
+      }
+      if (!/^S[0-9]/.test(line)) {
+        throw new Error('S-record line ' + (index + 1) + ': missing record type');
+      }
+
+      var type = Number(line[1]);
+      var bytes = RecordBytes(line.slice(2), index + 1, 'S-record');
+
+      if (bytes[0] !== bytes.length - 1) {
+        throw new Error('S-record line ' + (index + 1) + ': invalid record length');
+      }
+      if ((bytes.reduce((sum, byte) => sum + byte, 0) & 0xFF) !== 0xFF) {
+        throw new Error('S-record line ' + (index + 1) + ': checksum mismatch');
+      }
+      if (type === 4) {
+        throw new Error('S-record line ' + (index + 1) + ': unknown record type 4');
+      }
+      if (type >= 1 && type <= 3) {
+        var addr = bytes.slice(1, type + 2).reduce((addr, byte) => addr * 256 + byte, 0);
+        AddSegment(segments, addr, bytes.slice(type + 2, -1));
+      }
+    });
+
+    return segments;
+  }
+
+  /* Parses the memory image to the segments { addr, data } with Uint8Array data. */
+  function ParseImage(image, format, addr) {
+    var text = typeof image === 'string';
+
+    if (!format) {
+      format = !text ? 'raw' : (image.trim()[0] === ':' ? 'ihex' : 'srec');
+    }
+    if (format !== 'raw' && !text) {
+      image = new TextDecoder().decode(image);
+    }
+
+    switch (format) {
+      case 'raw':
+        if (typeof addr !== 'number') {
+          throw new Error('Raw memory image needs the address');
+        }
+        return [{ addr: addr, data: text ? new TextEncoder().encode(image) : new Uint8Array(image) }];
+      case 'ihex':
+      case 'srec':
+        return (format === 'ihex' ? ParseIntelHex(image) : ParseSRecord(image))
+          .map((segment) => ({ addr: segment.addr, data: Uint8Array.from(segment.data) }));
+      default:
+        throw new Error('Unknown image format: ' + format);
+    }
+  }
+
+  /* Returns the bit field of a variable definition with shift, mask or flags, null for other definitions. */
+  function Bitfield(definition) {
+    if (!definition || (definition.shift === undefined && definition.mask === undefined && definition.flags === undefined)) {
+      return null;
+    }
+
+    var shift = definition.shift || 0;
+    var bits = definition.size >= 4 || definition.size === undefined ? 0xFFFFFFFF : Math.pow(2, definition.size * 8) - 1;
+
+    return {
+      shift: shift,
+      mask: definition.mask !== undefined ? definition.mask >>> 0 : ((bits >>> shift) << shift) >>> 0,
+      flags: definition.flags || {}
+    };
+  }
+
+  /* Extracts the bit field value from the register value. */
+  function FieldValue(raw, bitfield) {
+    return ((raw & bitfield.mask) >>> 0) >>> bitfield.shift;
+  }
+
+  /* Replaces the bit field in the register value. */
+  function FieldRaw(raw, value, bitfield) {
+    return ((raw & ~bitfield.mask) | ((value << bitfield.shift) & bitfield.mask)) >>> 0;
+  }
+
+  /* Maps the names to the responses of the same index. */
+  function ResultMap(names, responses) {
+    var results = {};
+
+    names.forEach(function(name, index) {
+      results[name] = responses[index];
+    });
+
+    return results;
+  }
+
+  /* Prepends the WebSocket scheme unless the url already contains one. */
+  function SocketUrl(url, secure) {
+    if (/^wss?:\/\//i.test(url)) {
+      return url;
+    }
+
+    return (secure ? 'wss://' : 'ws://') + url;
+  }
+
+  /* In-process transport connection, see PCM.LoopbackTransport. */
+  function LoopbackConnection(server) {
+    var connection = this;
+
+    this.readyState = 0;
+    this.onopen = null;
+    this.onclose = null;
+    this.onerror = null;
+    this.onmessage = null;
+
+    this.peer = {
+      onmessage: null,
+      onclose: null,
+      send: function(msg) {
+        setTimeout(function() {
+          if (connection.readyState === READY_STATE_OPEN && connection.onmessage) {
+            connection.onmessage({ type: 'message', data: msg });
+          }
+        });
+      },
+      close: function() {
+        connection.close();
+      }
+    };
+
+    server(this.peer);
+
+    setTimeout(function() {
+      if (connection.readyState === 0) {
+        connection.readyState = READY_STATE_OPEN;
+        if (connection.onopen) {
+          connection.onopen({ type: 'open' });
+        }
+      }
+    });
+  }
+
+  LoopbackConnection.prototype.send = function(msg) {
+    var peer = this.peer;
+
+    if (this.readyState !== READY_STATE_OPEN) {
+      throw new Error('Loopback connection is not open');
+    }
+
+    setTimeout(function() {
+      if (peer.onmessage) {
+        peer.onmessage(msg);
+      }
+    });
+  };
+
+  LoopbackConnection.prototype.close = function() {
+    var connection = this;
+
+    if (this.readyState >= 2) {
+      return;
+    }
+
+    this.readyState = 3;
+    setTimeout(function() {
+      if (connection.peer.onclose) {
+        connection.peer.onclose();
+      }
+      if (connection.onclose) {
+        connection.onclose({ type: 'close', code: 1000 });
+      }
+    });
+  };
+
+  /**
+   * @constructs PCM
+   * @classdesc PCM is an adapter class for FreeMASTER Lite API that handles the websocket connections to the service and command conversion to JSON-RPC format. It runs both on front-end (web browsers) and back-end (NodeJS).
+   * @description Creates an instance of PCM object.
+   *
+   * @example
+   * // Create a PCM instance
+   * function main() {
+   *     // main logic of the application
+   * };
+   * $(document).ready(function() {
+   *     var pcm = new PCM(window.location.host, main);
+   * });
+   *
+   * @example
+   * // Calls issued before the connection is open are buffered and sent once it opens
+   * var pcm = new PCM(window.location.host);
+   * pcm.StartComm("PortX").then(() => console.log("Communication port open."));
+   *
+   * @example
+   * // Handle API calls using {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise Promises}
+   * pcm.PCM_Function(params)
+   *     .then(response => {
+   *         console.log("Procedure call succeeded and returned ", response.data);
+   *     })
+   *     .catch(error => {
+   *         console.log("Procedure call failed with the following error ", error);
+   *     });
+   *
+   * @example
+   * // Handle API calls as {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Operators/await async functions}
+   * try {
+   *     let response = await pcm.PCM_Function(params);
+   *     console.log("Procedure call succeeded and returned ", response.data);
+   * } catch (err) {
+   *     console.log("Procedure call failed with the following error ", error);
+   * }
+   *
+   * @example
+   * // Follow the automatic reconnection; the session (StartComm, ReadTSA/ReadELF, DefineVariable,
+   * // SetupOscilloscope, SetupRecorder, SubscribeVariable) is replayed before OnReconnected is called
+   * pcm.OnReconnecting = (attempt, delay) => console.log("Reconnection attempt " + attempt + " in " + delay + " ms");
+   * pcm.OnReconnected = (event, failures) => console.log("Reconnected, " + failures.length + " requests failed to replay");
+   *
+   * @example
+   * // Pass the options instead of the event handlers
+   * var pcm = new PCM(window.location.host, { timeout: 5000, onSocketOpen: main });
+   *
+   * @param {string}     url           The address of the web server, the ws:// or wss:// scheme is optional.
+   * @param {Function}   onSocketOpen  WebSocket open event handler.
+   * @param {Function}   onSocketClose WebSocket close event handler.
+   * @param {Function}   onSocketError WebSocket error event handler.
+   * @param {PCMOptions} [options]     Additional instance options.
+   */
+  var PCM = function(url, onSocketOpen, onSocketClose, onSocketError, options) {
+
+    if (onSocketOpen !== null && typeof onSocketOpen === 'object') {
+      options = onSocketOpen;
+      onSocketOpen = options.onSocketOpen;
+      onSocketClose = options.onSocketClose;
+      onSocketError = options.onSocketError;
+    }
+
+    options = options || {};
+
+    var jrpc = new root.simple_jsonrpc();
+    var socket = null;
+    var wasOpen = false;
+    var transport = options.transport || PCM.WebSocketTransport();
+    var ready = false;
+    var outbox = [];
+    var queueSize = options.queueSize !== undefined ? options.queueSize : 100;
+    var reconnect = ReconnectOptions(options.reconnect);
+    var reconnectAttempt = 0;
+    var reconnectTimer = null;
+    var views = new WeakMap();
+    var pollers = new Set();
+    var disposed = false;
+
+    var maxInFlight = options.maxInFlight > 0 ? options.maxInFlight : Infinity;
+    var inFlight = 0;
+
+    /* Requests waiting for a free slot, one queue per priority. */
+    var waiting = Object.keys(PRIORITIES).map(() => []);
+
+    /* Collection window of the coalesced reads in milliseconds (0 is one microtask), null disables the coalescing. */
+    var coalesce = options.coalesce === true ? 0 : (typeof options.coalesce === 'number' ? options.coalesce : null);
+    var coalesced = null;
+
+    /* Variable objects created by variable(), with their definitions, by name. */
+    var variables = new Map();
+
+    /* Resolved once the symbols are loaded by ReadTSA or ReadELF. */
+    var symbolsLoaded = null;
+    var symbols = new Promise((resolve) => {
+      symbolsLoaded = resolve;
+    });
+
+    /* Offsets and sizes of the structure members by 'type.member', dropped when the symbols are reloaded. */
+    var structMembers = new Map();
+
+    /* Information of the symbols by name, promises dropped when the symbols are reloaded. */
+    var symbolInfos = new Map();
+
+    /* Symbol table built by symbolTable(), a promise dropped when the symbols are reloaded. */
+    var symbolTable = null;
+
+    /* Complete lists of the Enum* methods by method name; invalidations counts the lists dropped by TrackSession. */
+    var enumerations = new Map();
+    var invalidations = 0;
+
+    /* Board information, a promise requested once per StartComm; the byte order and the memory chunk size come from it. */
+    var boardInfo = null;
+
+    /* Listeners registered by on() and once(), by event name. */
+    var listeners = {};
+
+    /* Service state re-established after reconnection. */
+    var session = {
+      commPort: null,
+      symbols: null,
+      variables: {},
+      oscilloscopes: {},
+      recorders: {},
+      events: false,
+      subscriptions: {}
+    };
+
+    this.OnServerError = console.log;
+    this.OnSocketOpen = onSocketOpen || console.log;
+    this.OnSocketClose = onSocketClose || console.log;
+    this.OnSocketError = onSocketError || console.log;
+    this.OnReconnecting = console.log;
+    this.OnReconnected = console.log;
+
+    /* Requests are buffered until the connection is open and the session is replayed. */
+    jrpc.toStream = function(_msg, callOptions) {
+      if (disposed) {
+        throw new TransportError('PCM instance was disposed');
+      } else if (ready || (callOptions && callOptions.bypassQueue && socket.readyState === READY_STATE_OPEN)) {
+        socket.send(_msg);
+      } else if (outbox.length < queueSize) {
+        outbox.push(_msg);
+      } else {
+        throw new TransportError('Request queue is full (' + queueSize + ' requests pending until the connection is open)');
+      }
+    };
+
+    function FlushQueue() {
+      var queued = outbox;
+      outbox = [];
+      ready = true;
+      queued.forEach((msg) => socket.send(msg));
+    }
+
+    /* A transport object (instead of a factory) can be connected only once. */
+    if (typeof transport !== 'function') {
+      var injected = transport;
+      transport = function() {
+        return injected;
+      };
+      reconnect.enabled = false;
+    }
+
+    var OpenSocket = function() {
+      socket = transport(url);
+
+      socket.onopen = function(event) {
+        reconnectAttempt = 0;
+        if (!wasOpen) {
+          wasOpen = true;
+          FlushQueue();
+          Emit.call(this, 'SocketOpen', [event]);
+        } else {
+          ReplaySession.call(this).then((failures) => {
+            FlushQueue();
+            Emit.call(this, 'Reconnected', [event, failures]);
+          });
+        }
+      }.bind(this);
+
+      socket.onclose = function(event) {
+        ready = false;
+        outbox = [];
+        jrpc.rejectAll(new TransportError('Connection to the service was closed'));
+        Emit.call(this, 'SocketClose', [event]);
+        ScheduleReconnect.call(this);
+      }.bind(this);
+
+      socket.onerror = function(event) {
+        Emit.call(this, 'SocketError', [event]);
+      }.bind(this);
+
+      /* A malformed message is answered by the parse error and reported as a server error. */
+      socket.onmessage = function(event) {
+        jrpc.messageHandler(event.data).catch((error) => {
+          var code = error instanceof SyntaxError ? -32700 : -32603;
+          Emit.call(this, 'ServerError', [new ProtocolError({ code: code, message: error.message, data: event.data })]);
+        });
+      }.bind(this);
+
+      /* An injected transport may be open already. */
+      if (socket.readyState === READY_STATE_OPEN) {
+        setTimeout(() => socket.onopen({ type: 'open' }));
+      }
+    }.bind(this);
+
+    /* Calls the legacy On<name> handler and then the listeners whose filter matches the arguments. */
+    function Emit(name, args) {
+      var handler = this['On' + name];
+
+      if (typeof handler === 'function') {
+        try {
+          handler.apply(this, args);
+        } catch (error) {
+          console.error(error);
+        }
+      }
+
+      (listeners[name] || []).slice().forEach((entry) => {
+        if (entry.filter && !entry.filter.apply(null, args)) {
+          return;
+        }
+        if (entry.once) {
+          RemoveListener(name, entry);
+        }
+
+        try {
+          entry.listener.apply(this, args);
+        } catch (error) {
+          console.error(error);
+        }
+      });
+    }
+
+    function AddListener(name, filter, listener, once) {
+      if (!EVENTS.hasOwnProperty(name)) {
+        throw new Error('Unknown event: ' + name);
+      }
+
+      if (listener === undefined) {
+        listener = filter;
+        filter = null;
+      }
+
+      var entry = { listener: listener, filter: filter && EventFilter(name, filter), once: once };
+
+      listeners[name] = listeners[name] || [];
+      listeners[name].push(entry);
+
+      return () => RemoveListener(name, entry);
+    }
+
+    /* Removes one registration only, the same function may be registered several times. */
+    function RemoveListener(name, entry) {
+      if (listeners[name]) {
+        listeners[name] = listeners[name].filter((registered) => registered !== entry);
+      }
+    }
+
+    function ScheduleReconnect() {
+      if (disposed || !reconnect.enabled || reconnectAttempt >= reconnect.maxAttempts) {
+        return;
+      }
+
+      var delay = Math.min(reconnect.delay * Math.pow(reconnect.factor, reconnectAttempt), reconnect.maxDelay);
+      reconnectAttempt++;
+      Emit.call(this, 'Reconnecting', [reconnectAttempt, delay]);
+
+      reconnectTimer = setTimeout(function() {
+        reconnectTimer = null;
+        OpenSocket();
+      }, delay);
+    }
+
+    function Invalidate(method) {
+      enumerations.delete(method);
+      invalidations++;
+    }
+
+    function TrackSession(method, args, response) {
+      switch (method) {
+        case 'StartComm':
+          session.commPort = args[0];
+          boardInfo = null;
+          break;
+        case 'StopComm':
+          session.commPort = null;
+          boardInfo = null;
+          break;
+        case 'ReadTSA':
+        case 'ReadELF':
+          session.symbols = { method: method, args: args };
+          symbolsLoaded();
+          structMembers.clear();
+          symbolInfos.clear();
+          symbolTable = null;
+          Invalidate('EnumSymbols');
+          break;
+        case 'DefineSymbol':
+          symbolInfos.delete(args[0]);
+          symbolTable = null;
+          Invalidate('EnumSymbols');
+          break;
+        case 'DeleteAllScriptSymbols':
+          structMembers.clear();
+          symbolInfos.clear();
+          symbolTable = null;
+          Invalidate('EnumSymbols');
+          break;
+        case 'OpenProject':
+          Invalidate('EnumHrefLinks');
+          Invalidate('EnumProjectFiles');
+          break;
+        case 'DefineVariable':
+          session.variables[args[0].name] = args[0];
+          Invalidate('EnumVariables');
+          break;
+        case 'DeleteVariable':
+          delete session.variables[args[0]];
+          Invalidate('EnumVariables');
+          if (variables.has(args[0])) {
+            variables.get(args[0]).defined = null;
+          }
+          break;
+        case 'DeleteAllScriptVariables':
+          session.variables = {};
+          Invalidate('EnumVariables');
+          variables.forEach((entry) => {
+            entry.defined = null;
+          });
+          break;
+        case 'SetupOscilloscope':
+          session.oscilloscopes[args[0]] = args;
+          break;
+        case 'SetupRecorder':
+          session.recorders[args[0]] = args;
+          break;
+        case 'EnableEvents':
+          session.events = args[0];
+          break;
+        case 'SubscribeVariable':
+          session.subscriptions[args[0]] = {
+            args: args,
+            id: response.xtra ? response.xtra.subscriptionId : undefined
+          };
+          break;
+        case 'UnSubscribeVariable':
+          Object.keys(session.subscriptions).forEach(function(name) {
+            if (name === args[0] || session.subscriptions[name].id === args[0]) {
+              delete session.subscriptions[name];
+            }
+          });
+          break;
+      }
+    }
+
+    function BoardInfo() {
+      if (!boardInfo) {
+        var detected = SendRequest.call(this, 'GetDetectedBoardInfo')
+          .then((response) => response.data)
+          .catch((error) => {
+            if (boardInfo === detected) {
+              boardInfo = null;
+            }
+            throw error;
+          });
+
+        boardInfo = detected;
+      }
+
+      return boardInfo;
+    }
+
+    /*
+     * Resolves to a property of the board information, or to the configuration parameter read by the method when
+     * GetDetectedBoardInfo, deprecated since protocol version 4.0, fails or doesn't provide the property.
+     */
+    function BoardParam(property, method, name) {
+      return BoardInfo.call(this).then((info) => info[property], () => undefined).then((value) => {
+        return value !== undefined ? value : SendRequest.call(this, method, [name]).then((response) => response.data);
+      });
+    }
+
+    /*
+     * Returns the SymbolInfo of a GetSymbolInfo response, which is the data property; the extra features also provide
+     * the address and size in the xtra property.
+     */
+    function SymbolInfoOf(response) {
+      if (response.data && typeof response.data === 'object') {
+        return response.data;
+      }
+      return typeof this.EnableEvents === 'function' && response.xtra ? response.xtra : {};
+    }
+
+    /* Resolves to the SymbolInfo of a symbol, the information is requested once per symbol. */
+    function SymbolInfo(name) {
+      if (!symbolInfos.has(name)) {
+        symbolInfos.set(name, SendRequest.call(this, 'GetSymbolInfo', [name]).then((response) => {
+          var info = SymbolInfoOf.call(this, response);
+
+          if (typeof info.addr !== 'number') {
+            throw new PCMError('address of the symbol is unknown', 'GetSymbolInfo', [name]);
+          }
+          return info;
+        }).catch((error) => {
+          symbolInfos.delete(name);
+          throw error;
+        }));
+      }
+
+      return symbolInfos.get(name);
+    }
+
+    /* Resolves the address value or symbol name to the address value. */
+    function Address(addr) {
+      return typeof addr === 'string' ? SymbolInfo.call(this, addr).then((info) => info.addr) : Promise.resolve(addr);
+    }
+
+    /*
+     * Resolves to true for little endian targets, the big endian flag is bit 0 of the board configuration flags (cfgFlags
+     * of the board information or the F1 configuration parameter).
+     */
+    function LittleEndian() {
+      return BoardParam.call(this, 'cfgFlags', 'GetConfigParamU8', 'F1').then((flags) => (flags & 1) === 0);
+    }
+
+    /*
+     * Returns a function transferring a memory range chunk by chunk with the transfer function, which is called with
+     * the chunk address, offset and length. Failed chunks are sent again, the abort signal is checked before each chunk.
+     * The transfer is rejected when the size or the chunk size is not a valid number of bytes.
+     */
+    function TransferChunks(method, addr, size, options) {
+      var retries = options.retries !== undefined ? options.retries : 2;
+      var signal = options.signal;
+      var chunkSize = options.chunkSize !== undefined ? Promise.resolve(options.chunkSize)
+        : BoardParam.call(this, 'cmdBuffSize', 'GetConfigParamULEB', 'MTU').then((buffSize) => {
+          if (!Number.isInteger(buffSize) || buffSize <= CHUNK_OVERHEAD) {
+            throw new PCMError('command buffer size of the board is unknown, set the chunkSize option', method, [addr, size]);
+          }
+          return buffSize - CHUNK_OVERHEAD;
+        });
+
+      if (!Number.isInteger(size) || size < 0) {
+        chunkSize = Promise.reject(new PCMError('size must be a non-negative integer', method, [addr, size]));
+      } else if (options.chunkSize !== undefined && !(Number.isInteger(options.chunkSize) && options.chunkSize > 0)) {
+        chunkSize = Promise.reject(new PCMError('chunkSize must be a positive integer', method, [addr, size]));
+      }
+
+      return (transfer) => chunkSize.then((chunk) => {
+        var next = (offset, attempt) => {
+          if (signal && signal.aborted) {
+            throw signal.reason !== undefined ? signal.reason : new PCMError('transfer was aborted', method, [addr, size]);
+          }
+          if (offset >= size) {
+            return size;
+          }
+
+          var length = Math.min(chunk, size - offset);
+
+          return transfer(addr + offset, offset, length).then(() => {
+            if (options.onProgress) {
+              options.onProgress(offset + length, size);
+            }
+            return next(offset + length, 0);
+          }, (error) => {
+            if (attempt >= retries || (signal && signal.aborted)) {
+              throw error;
+            }
+            return next(offset, attempt + 1);
+          });
+        };
+
+        return next(0, 0);
+      });
+    }
+
+    /*
+     * Reads 8-byte integers as BigInt values from the memory bytes, the service would pass them as imprecise numbers.
+     * ReadMemory takes an address value, a symbol name is resolved by GetSymbolInfo first.
+     */
+    function ReadBigInts(addr, count, type) {
+      var read = Address.call(this, addr).then((address) => SendRequest.call(this, 'ReadMemory', [address, count * 8]));
+
+      return Promise.all([LittleEndian.call(this), read])
+        .then((results) => {
+          var view = new DataView(Uint8Array.from(results[1].data).buffer);
+          var values = [];
+
+          for (var index = 0; index < count; index++) {
+            values.push(DecodeValue(view, index * 8, type, 8, results[0]));
+          }
+
+          return Object.assign({}, results[1], { data: values });
+        });
+    }
+
+    /* Writes 8-byte integers given as BigInt values or numbers to the memory bytes. Resolves to the number of elements written. */
+    function WriteBigInts(addr, values, type) {
+      return Promise.all([LittleEndian.call(this), Address.call(this, addr)]).then((results) => {
+        var view = new DataView(new ArrayBuffer(values.length * 8));
+
+        values.forEach((value, index) => EncodeValue(view, index * 8, type, 8, value, results[0]));
+
+        return SendRequest.call(this, 'WriteMemory', [results[1], Array.from(new Uint8Array(view.buffer))]);
+      }).then((response) => Object.assign({}, response, { data: response.data / 8 }));
+    }
+
+    /* Converts the array read to the TypedArray of the element type when requested by the typedArrays option. */
+    function TypedArrayResult(target, type, size) {
+      return (response) => {
+        if (!CallOptions(target).typedArrays) {
+          return response;
+        }
+        return Object.assign({}, response, { data: TypedArrayOf(type, size).from(response.data) });
+      };
+    }
+
+    /* 8-byte integers go through the memory bytes when requested by the bigint option or written as BigInt values. */
+    function BigIntAccess(target, size, data) {
+      return size === 8 && (CallOptions(target).bigint || [].concat(data).some((value) => typeof value === 'bigint'));
+    }
+
+    /*
+     * Returns an async iterator over the items of an Enum* method, which requests up to concurrency indices ahead. The
+     * list ends at the first error accepted by the isEnd option, by default the index out of range (ServiceError with the
+     * INDEX_OUT_OF_RANGE code); other errors, such as another service error, a lost connection or a timeout, are thrown
+     * by the iteration. Only the list ended this way is cached, unless the list was invalidated meanwhile.
+     */
+    function Enumerate(method, options) {
+      options = options || {};
+
+      var concurrency = Math.max(1, options.concurrency || 1);
+      var isEnd = options.isEnd || IndexOutOfRange;
+      var cache = options.cache !== undefined ? options.cache : CACHED_ENUMERATIONS.indexOf(method) >= 0;
+      var cached = cache ? enumerations.get(method) : undefined;
+      var version = invalidations;
+      var items = [];
+      var ahead = [];
+      var index = 0;
+      var ended = false;
+      var done = { value: undefined, done: true };
+
+      var next = () => {
+        if (cached) {
+          return Promise.resolve(index < cached.length ? { value: cached[index++], done: false } : done);
+        }
+        if (ended) {
+          return Promise.resolve(done);
+        }
+
+        while (ahead.length < concurrency) {
+          ahead.push(SendRequest.call(this, method, [index++]).then((response) => ({ response: response }), (error) => ({ error: error })));
+        }
+
+        return ahead.shift().then((result) => {
+          if (ended) {
+            return done;
+          }
+          if (result.error) {
+            ended = true;
+            ahead = [];
+            if (!isEnd(result.error)) {
+              throw result.error;
+            }
+            if (version === invalidations) {
+              enumerations.set(method, items);
+            }
+            return done;
+          }
+
+          var item = ENUMERATIONS[method](result.response);
+
+          items.push(item);
+          return { value: item, done: false };
+        });
+      };
+
+      var iterator = {
+        next: next,
+        return: () => {
+          ended = true;
+          ahead = [];
+          return Promise.resolve(done);
+        }
+      };
+
+      iterator[Symbol.asyncIterator] = () => iterator;
+
+      return iterator;
+    }
+
+    /* Resolves to the offset and size of a structure member, the member information is requested once per type. */
+    function MemberInfo(type, member) {
+      var key = type + '.' + member;
+
+      if (!structMembers.has(key)) {
+        structMembers.set(key, this.GetStructMemberInfo(type, member).then((response) => response.xtra, (error) => {
+          structMembers.delete(key);
+          throw error;
+        }));
+      }
+
+      return structMembers.get(key);
+    }
+
+    /*
+     * Resolves the structure layout to the fields with name, path, offset (from the structure start), size, count, elSize
+     * and the fractional format of the member, or the fields of each element (elements) for nested structures.
+     */
+    function StructFields(layout, base, prefix) {
+      return Promise.all(Object.keys(layout.members).map((name) => {
+        var member = StructMember(layout.members[name]);
+
+        return MemberInfo.call(this, layout.type, name).then((info) => {
+          var count = member.count;
+          var elSize = count === undefined ? info.size : info.size / count;
+          var field = {
+            name: name,
+            path: prefix + name,
+            offset: base + info.offset,
+            size: info.size,
+            count: count,
+            elSize: elSize,
+            format: member
+          };
+
+          if (!Number.isInteger(elSize)) {
+            throw new Error('Member ' + field.path + ' of size ' + info.size + ' is not an array of ' + count);
+          }
+          if (!member.members) {
+            Codec(member.type === 'fract' ? 'int' : (member.type === 'ufract' ? 'uint' : member.type), elSize);
+            return field;
+          }
+
+          var indices = count === undefined ? [0] : Array.from({ length: count }, (_, index) => index);
+
+          return Promise.all(indices.map((index) => {
+            var path = field.path + (count === undefined ? '' : '[' + index + ']') + '.';
+            return StructFields.call(this, member, field.offset + index * elSize, path);
+          })).then((elements) => Object.assign(field, { elements: elements }));
+        });
+      }));
+    }
+
+    /*
+     * Resolves the address and the fields of a structure symbol (or address) and its layout. The layout is mandatory,
+     * the service doesn't provide the member types.
+     */
+    function ResolveStruct(symbol, layout, method) {
+      if (!layout || typeof layout !== 'object' || !layout.members || typeof layout.members !== 'object') {
+        return Promise.reject(new PCMError('layout with the members of the structure is required', method, [symbol]));
+      } else if (typeof this.GetStructMemberInfo !== 'function') {
+        return Promise.reject(new PCMError('needs the extra features, see EnableExtraFeatures', method, [symbol]));
+      }
+
+      var resolved = typeof symbol === 'string'
+        ? SymbolInfo.call(this, symbol).then((info) => ({ addr: info.addr, type: layout.type || info.type }))
+        : Promise.resolve({ addr: symbol, type: layout.type });
+
+      return resolved.then((struct) => {
+        if (!struct.type) {
+          throw new PCMError('type of the structure is unknown, set the type of the layout', method, [symbol]);
+        }
+
+        return StructFields.call(this, Object.assign({}, layout, { type: struct.type }), 0, '').then((fields) => ({
+          addr: struct.addr,
+          fields: fields,
+          size: Math.max.apply(null, fields.map((field) => field.offset + field.size))
+        }));
+      });
+    }
+
+    /* Defines the variable of a Variable object unless it is defined already, resolves to the variable information. */
+    function DefineOnce(entry) {
+      if (!entry.defined) {
+        var variable = entry.definition && entry.definition.type ?
+          Object.assign({ name: entry.name, addr: entry.name }, entry.definition) : null;
+        var bitfield = Bitfield(entry.definition);
+
+        /* The bit field is handled by the Variable object, the service works with the whole register. */
+        if (variable) {
+          delete variable.shift;
+          delete variable.mask;
+          delete variable.flags;
+        }
+
+        var loaded = variable && typeof variable.addr === 'string' ?
+          SymbolsLoaded(CallOptions(this, 'DefineVariable').timeout) : Promise.resolve();
+
+        var defined = loaded
+          .then(() => variable && SendRequest.call(this, 'DefineVariable', [variable]))
+          .then(() => SendRequest.call(this, 'GetVariableInfo', [entry.name]))
+          .then((response) => Object.assign({}, response.data, { bitfield: bitfield }))
+          .catch((error) => {
+            if (entry.defined === defined) {
+              entry.defined = null;
+            }
+            throw error;
+          });
+
+        entry.defined = defined;
+      }
+
+      return entry.defined;
+    }
+
+    /*
+     * Waits for the symbols at most the timeout (0 waits forever), the service may know the symbols already (e.g. from
+     * the project).
+     */
+    function SymbolsLoaded(timeout) {
+      if (!timeout) {
+        return symbols;
+      }
+
+      var timer = null;
+      var expired = new Promise((resolve) => {
+        timer = setTimeout(resolve, timeout);
+      });
+
+      return Promise.race([symbols, expired]).then(() => clearTimeout(timer));
+    }
+
+    /* Sends the recorded session requests in the order the service expects them and collects the failed ones. */
+    function ReplaySession() {
+      var steps = [];
+      var failures = [];
+
+      if (session.commPort !== null) {
+        steps.push(['StartComm', [session.commPort]]);
+      }
+      if (session.symbols) {
+        steps.push([session.symbols.method, session.symbols.args]);
+      }
+      Object.keys(session.variables).forEach(function(name) {
+        steps.push(['DefineVariable', [session.variables[name]]]);
+      });
+      Object.keys(session.oscilloscopes).forEach(function(id) {
+        steps.push(['SetupOscilloscope', session.oscilloscopes[id]]);
+      });
+      Object.keys(session.recorders).forEach(function(id) {
+        steps.push(['SetupRecorder', session.recorders[id]]);
+      });
+      if (session.events) {
+        steps.push(['EnableEvents', [true]]);
+      }
+      Object.keys(session.subscriptions).forEach(function(name) {
+        steps.push(['SubscribeVariable', session.subscriptions[name].args]);
+      });
+
+      /* Replayed requests go ahead of the calls queued in the meantime. */
+      var replay = Object.create(this);
+      views.set(replay, { bypassQueue: true });
+
+      return steps.reduce((chain, step) => chain.then(() => {
+        return SendRequest.call(replay, step[0], step[1])
+          .catch((error) => failures.push({ method: step[0], args: step[1], error: error }));
+      }), Promise.resolve()).then(() => failures);
+    }
+
+    /* Resolves call options of the method called on the PCM object or on a view created by WithOptions. */
+    function CallOptions(target, method) {
+      var callOptions = views.get(target) || {};
+
+      return {
+        timeout: callOptions.timeout !== undefined ? callOptions.timeout :
+          (options.timeout !== undefined ? options.timeout : 30000),
+        bypassQueue: !!callOptions.bypassQueue,
+        bigint: !!callOptions.bigint,
+        typedArrays: !!callOptions.typedArrays,
+        priority: PRIORITIES.hasOwnProperty(callOptions.priority) ? PRIORITIES[callOptions.priority] :
+          (READ_METHODS.test(method) ? PRIORITIES.normal : PRIORITIES.high),
+        schema: METHOD_SCHEMAS[method]
+      };
+    }
+
+    /* Starts the request once a request slot is free; replayed requests (bypassQueue) don't wait. */
+    function Schedule(callOptions, start) {
+      if (callOptions.bypassQueue) {
+        return start();
+      }
+
+      return new Promise((resolve, reject) => {
+        waiting[callOptions.priority].push(() => {
+          var request = start();
+
+          request.then(resolve, reject);
+          return request;
+        });
+        StartWaiting();
+      });
+    }
+
+    /* Fills the free request slots with the waiting requests of the highest priority. Disposal drains all the queues. */
+    function StartWaiting() {
+      var queue;
+
+      while ((inFlight < maxInFlight || disposed) && (queue = waiting.find((queue) => queue.length))) {
+        inFlight++;
+        queue.shift()().catch(() => {}).then(() => {
+          inFlight--;
+          StartWaiting();
+        });
+      }
+    }
+
+    function SendRequest(method, args) {
+      var callOptions = CallOptions(this, method);
+
+      return new Promise((resolve, reject) => {
+        Schedule(callOptions, () => jrpc.call(method, args, callOptions))
+          .then((response) => {
+            try {
+              resolve(ServiceResponse(method, args, response));
+            } catch (error) {
+              reject(error);
+            }
+          })
+          .catch((error) => {
+            error = CallError(error, method, args);
+            Emit.call(this, 'ServerError', [error]);
+            reject(error);
+          });
+      });
+    }
+
+    /* Returns a successful service response, throws ServiceError for the failed one. */
+    function ServiceResponse(method, args, response) {
+      if (!response.success) {
+        throw new ServiceError(response.error, method, args);
+      }
+
+      TrackSession(method, args, response);
+      return response;
+    }
+
+    /*
+     * Sends the [method, args] pairs in one JSON-RPC batch. Resolves to the array of responses in the same order,
+     * failed calls are represented by { success: false, error: PCMError } and don't affect the others.
+     */
+    function SendBatch(calls) {
+      var requests = calls.map((call) => ({ call: { method: call[0], params: call[1], options: CallOptions(this, call[0]) } }));
+
+      /* The batch takes one request slot with the highest priority of its calls, a batch of reads stays a read. */
+      var callOptions = requests.reduce((batchOptions, request) => {
+        return request.call.options.priority < batchOptions.priority ? request.call.options : batchOptions;
+      }, Object.assign(CallOptions(this), { priority: PRIORITIES.low }));
+
+      return Schedule(callOptions, () => jrpc.batch(requests, callOptions)).then((results) => results.map((result, index) => {
+        var method = calls[index][0];
+        var args = calls[index][1];
+
+        try {
+          if (result.status === 'fulfilled') {
+            return ServiceResponse(method, args, result.value);
+          }
+          throw CallError(result.reason, method, args);
+        } catch (error) {
+          if (!(error instanceof ServiceError)) {
+            Emit.call(this, 'ServerError', [error]);
+          }
+          return { success: false, error: error };
+        }
+      }));
+    }
+
+    /* Sends a read request, coalesced with the other reads of the current collection window when enabled. */
+    function SendRead(method, args) {
+      if (coalesce === null) {
+        return SendRequest.call(this, method, args);
+      }
+
+      if (!coalesced) {
+        CollectReads();
+      }
+
+      if (!coalesced.has(this)) {
+        coalesced.set(this, new Map());
+      }
+
+      var reads = coalesced.get(this);
+      var key = method + JSON.stringify(args);
+
+      if (!reads.has(key)) {
+        reads.set(key, { method: method, args: args, callers: [] });
+      }
+
+      return new Promise((resolve, reject) => reads.get(key).callers.push({ resolve: resolve, reject: reject }));
+    }
+
+    /* Opens a collection window of the coalesced reads, reads of each PCM view are sent in a separate batch. */
+    function CollectReads() {
+      var timer = null;
+      var removePoller = null;
+      var collected = new Map();
+
+      /* Flushes this window only, the window may have been flushed already by dispose. */
+      var flush = () => {
+        if (coalesced !== collected) {
+          return;
+        }
+
+        clearTimeout(timer);
+        removePoller();
+        coalesced = null;
+
+        collected.forEach((reads, target) => {
+          reads = Array.from(reads.values());
+          SendBatch.call(target, reads.map((read) => [read.method, read.args])).then((responses) => {
+            responses.forEach((response, index) => reads[index].callers.forEach((caller, number, callers) => {
+              /* Each caller of a shared read gets its own copy of the response. */
+              var copy = callers.length > 1 ? JSON.parse(JSON.stringify(response)) : response;
+
+              if (response.success)
+                caller.resolve(copy);
+              else
+                caller.reject(response.error);
+            }));
+          });
+        });
+      };
+
+      coalesced = collected;
+
+      /* Disposal flushes the window at once, so the collected reads are rejected instead of being left pending. */
+      removePoller = AddPoller(flush);
+
+      if (coalesce > 0)
+        timer = setTimeout(flush, coalesce);
+      else
+        Promise.resolve().then(flush);
+    }
+
+    /* Registers a stop function of a periodic activity to be called by dispose. Returns the unregister function. */
+    function AddPoller(stop) {
+      pollers.add(stop);
+      return function() {
+        pollers.delete(stop);
+      };
+    }
+
+    OpenSocket();
+
+    /**
+     * Closes the connection and releases all the resources held by the PCM object. Pending and queued
+     * requests are rejected, event handlers are unregistered and the automatic reconnection as well as
+     * all the pollers are stopped. The object can't be used anymore once disposed.
+     *
+     * @example
+     * pcm.dispose();
+     */
+    this.dispose = function() {
+      if (disposed) {
+        return;
+      }
+
+      disposed = true;
+      ready = false;
+      outbox = [];
+      clearTimeout(reconnectTimer);
+
+      pollers.forEach((stop) => stop());
+      pollers.clear();
+
+      EXTRA_EVENTS.forEach((name) => jrpc.off(name));
+      jrpc.rejectAll(new TransportError('PCM instance was disposed'));
+      StartWaiting();
+
+      socket.close();
+    };
+
+    /**
+     * Returns the Variable object of a variable. The variable is defined in the service on its first use, so the object
+     * can be created before the symbols are loaded by ReadTSA. Calls with the same name return the same object; a
+     * different definition replaces the previous one and the variable is defined again on its next use. A definition
+     * addressed by a symbol name waits for ReadTSA or ReadELF at most the call timeout, then it is sent anyway. Without
+     * the definition, the variable must be known to the service already (e.g. defined in the FreeMASTER project).
+     *
+     * @example
+     * let var16 = pcm.variable("var16", { type: "uint", size: 2 });
+     * pcm.ReadTSA();
+     * var16.read().then(value => console.log(value, var16.info.addr));
+     *
+     * @example
+     * // Bit field of a register with named flags, see Variable readFlags and writeFlags
+     * let status = pcm.variable("varStatus", { type: "uint", size: 2, mask: 0x0F, flags: { ready: 0, overcurrent: 3 } });
+     *
+     * @param   {string}       name         Variable name.
+     * @param   {VariableInfo} [definition] Variable definition without the name; addr defaults to the variable name. The shift
+     *                                      and mask (and flags mapping flag names to bit numbers) define a bit field handled
+     *                                      by the Variable object, the variable is defined in the service without them.
+     * @returns {Variable} The Variable object.
+     */
+    this.variable = function(name, definition) {
+      var entry = variables.get(name);
+
+      if (!entry) {
+        entry = { name: name, definition: definition, defined: null };
+        entry.variable = new Variable(this, name, () => DefineOnce.call(this, entry));
+        variables.set(name, entry);
+      } else if (definition !== undefined && JSON.stringify(definition) !== JSON.stringify(entry.definition)) {
+        entry.definition = definition;
+        entry.defined = null;
+      }
+
+      return entry.variable;
+    };
+
+    /**
+     * Reads a structure with one ReadMemory call and decodes its members, including nested structures and arrays. The
+     * offsets and sizes of the members are requested from the service once per structure type, see
+     * {@link PCM#GetStructMemberInfo GetStructMemberInfo}; the member types come from the layout and only the members
+     * listed in it are read. Needs the extra features, see {@link PCM#EnableExtraFeatures EnableExtraFeatures}.
+     *
+     * @example
+     * pcm.EnableExtraFeatures(true);
+     * pcm.readStruct("appConfig", {
+     *     members: { gain: "float", offset: "int", flags: "uint", limits: { type: "limits_t", members: { min: "float", max: "float" } } }
+     * }).then(config => console.log(config.gain, config.limits.max));
+     *
+     * @example
+     * // Fractional and array members, the struct at a plain address needs the type name
+     * pcm.readStruct(0x20000050, { type: "config_t", members: { gain: { type: "fract", q_n: 24 }, limits: "float[2]" } });
+     *
+     * @param   {number|string} symbol Symbol name or address of the structure.
+     * @param   {StructLayout}  layout Member types of the structure, required as the service doesn't resolve them.
+     * @returns {Promise} Resolved promise will contain the object with the member values; 8-byte integers are BigInt.
+     */
+    this.readStruct = function(symbol, layout) {
+      return ResolveStruct.call(this, symbol, layout, 'readStruct').then((struct) => {
+        return Promise.all([LittleEndian.call(this), this.ReadMemory(struct.addr, struct.size)]).then((results) => {
+          var view = new DataView(Uint8Array.from(results[1].data).buffer);
+          return DecodeStruct(view, struct.fields, results[0]);
+        });
+      });
+    };
+
+    /**
+     * Writes the members of a structure that differ from the target memory. The structure is read first and each changed
+     * member is written with its own WriteMemory call, the members missing in the values (and the array elements left
+     * undefined) keep their values. The target is not locked between the read and the writes.
+     * @see {@link PCM#readStruct readStruct}
+     *
+     * @example
+     * pcm.writeStruct("appConfig", { gain: 2.0, limits: { max: 5.0 } }, layout).then(written => console.log(written)); // ['gain', 'limits.max']
+     *
+     * @param   {number|string} symbol Symbol name or address of the structure.
+     * @param   {Object}        values Member values to be written.
+     * @param   {StructLayout}  layout Member types of the structure, required as the service doesn't resolve them.
+     * @returns {Promise} Resolved promise will contain the paths of the written members.
+     */
+    this.writeStruct = function(symbol, values, layout) {
+      return ResolveStruct.call(this, symbol, layout, 'writeStruct').then((struct) => {
+        return Promise.all([LittleEndian.call(this), this.ReadMemory(struct.addr, struct.size)]).then((results) => {
+          var current = Uint8Array.from(results[1].data);
+          var bytes = Uint8Array.from(current);
+          var changed = EncodeStruct(new DataView(bytes.buffer), struct.fields, values, results[0])
+            .filter((field) => bytes.subarray(field.offset, field.offset + field.size)
+              .some((byte, index) => byte !== current[field.offset + index]));
+
+          return Promise.all(changed.map((field) => {
+            return this.WriteMemory(struct.addr + field.offset, Array.from(bytes.subarray(field.offset, field.offset + field.size)));
+          })).then(() => changed.map((field) => field.path));
+        });
+      });
+    };
+
+    /**
+     * Reads a memory range of any size in chunks that fit the board buffers, see {@link MemoryRangeOptions MemoryRangeOptions}.
+     * The chunks are read one at a time with ReadMemory, so the calls go through the options of the PCM view.
+     *
+     * @example
+     * let controller = new AbortController();
+     * pcm.readMemoryRange(0x20000000, 0x10000, {
+     *     signal: controller.signal,
+     *     onProgress: (done, total) => console.log(Math.round(100 * done / total) + " %")
+     * }).then(bytes => console.log(bytes.length));
+     *
+     * @param   {number}             addr      Address value.
+     * @param   {number}             size      Number of bytes.
+     * @param   {MemoryRangeOptions} [options] Chunk size, retries, progress and cancellation.
+     * @returns {Promise} Resolved promise will contain the Uint8Array of the bytes read.
+     */
+    this.readMemoryRange = function(addr, size, options) {
+      var bytes = Number.isInteger(size) && size >= 0 ? new Uint8Array(size) : null;
+
+      return TransferChunks.call(this, 'readMemoryRange', addr, size, options || {})((chunkAddr, offset, length) => {
+        return this.ReadMemory(chunkAddr, length).then((response) => {
+          if (!response.data || response.data.length !== length) {
+            throw new PCMError('read ' + (response.data ? response.data.length : 0) + ' of ' + length + ' bytes', 'ReadMemory', [chunkAddr, length]);
+          }
+          bytes.set(response.data, offset);
+        });
+      }).then(() => bytes);
+    };
+
+    /**
+     * Writes a memory range of any size in chunks that fit the board buffers, see {@link MemoryRangeOptions MemoryRangeOptions}.
+     * The chunks are written one at a time with WriteMemory; when the transfer fails or is aborted, the chunks already
+     * written stay in the target memory.
+     *
+     * @example
+     * pcm.writeMemoryRange(0x20000100, new Uint8Array(256).fill(0xFF), { retries: 5 }).then(size => console.log(size + " bytes written"));
+     *
+     * @param   {number}                   addr      Address value.
+     * @param   {Array<number>|Uint8Array} data      Bytes to be written.
+     * @param   {MemoryRangeOptions}       [options] Chunk size, retries, progress and cancellation.
+     * @returns {Promise} Resolved promise will contain the number of bytes written.
+     */
+    this.writeMemoryRange = function(addr, data, options) {
+      try {
+        data = Uint8Array.from(ArrayData(data, 'uint', 1));
+      } catch (error) {
+        return Promise.reject(error);
+      }
+
+      return TransferChunks.call(this, 'writeMemoryRange', addr, data.length, options || {})((chunkAddr, offset, length) => {
+        return this.WriteMemory(chunkAddr, data.subarray(offset, offset + length)).then((response) => {
+          if (response.data !== length) {
+            throw new PCMError('wrote ' + response.data + ' of ' + length + ' bytes', 'WriteMemory', [chunkAddr, length]);
+          }
+        });
+      });
+    };
+
+    /**
+     * Reads a memory range and encodes it to a memory image, e.g. to back up the calibration data. The memory is read in
+     * chunks by {@link PCM#readMemoryRange readMemoryRange}.
+     * @see {@link PCM.saveImage saveImage}
+     *
+     * @example
+     * pcm.exportMemory(0x20000000, 0x400, { format: "srec" }).then(image => PCM.saveImage(image, "ram.s19"));
+     *
+     * @param   {number}             addr      Address value.
+     * @param   {number}             size      Number of bytes.
+     * @param   {MemoryImageOptions} [options] Image format and transfer options.
+     * @returns {Promise} Resolved promise will contain the image text, or the Uint8Array of raw images.
+     */
+    this.exportMemory = function(addr, size, options) {
+      options = options || {};
+
+      return this.readMemoryRange(addr, size, options).then((bytes) => {
+        return EncodeImage([{ addr: addr, data: bytes }], options.format || 'ihex', options.recordSize || 16);
+      });
+    };
+
+    /**
+     * Writes a memory image to the target and verifies it by reading the written data back. The segments of the image are
+     * written in chunks by {@link PCM#writeMemoryRange writeMemoryRange}, the progress counts the bytes of all segments.
+     * @see {@link PCM.loadImage loadImage}
+     *
+     * @example
+     * PCM.loadImage("calibration.hex").then(image => pcm.importMemory(image)).then(size => console.log(size + " bytes restored"));
+     *
+     * @example
+     * pcm.importMemory(bytes, { format: "raw", addr: 0x20000100, verify: false });
+     *
+     * @param   {string|Uint8Array}  image     Image text, or binary data of raw images.
+     * @param   {MemoryImageOptions} [options] Image format, address of raw images, verification and transfer options.
+     * @returns {Promise} Resolved promise will contain the number of bytes written; it is rejected with PCMError when the
+     *                    data read back differs.
+     */
+    this.importMemory = function(image, options) {
+      options = options || {};
+
+      var segments;
+
+      try {
+        segments = ParseImage(image, options.format, options.addr);
+      } catch (error) {
+        return Promise.reject(error);
+      }
+
+      var total = segments.reduce((total, segment) => total + segment.data.length, 0);
+      var written = 0;
+
+      var verify = (segment) => {
+        var readOptions = Object.assign({}, options, { onProgress: null });
+
+        return this.readMemoryRange(segment.addr, segment.data.length, readOptions).then((bytes) => {
+          var index = bytes.findIndex((byte, index) => byte !== segment.data[index]);
+
+          if (index >= 0) {
+            throw new PCMError('verification failed at 0x' + (segment.addr + index).toString(16) + ', read 0x' +
+              bytes[index].toString(16) + ' instead of 0x' + segment.data[index].toString(16), 'importMemory',
+              [segment.addr, segment.data.length]);
+          }
+        });
+      };
+
+      return segments.reduce((previous, segment) => previous.then(() => {
+        var writeOptions = Object.assign({}, options, {
+          onProgress: options.onProgress && ((done) => options.onProgress(written + done, total))
+        });
+
+        return this.writeMemoryRange(segment.addr, segment.data, writeOptions)
+          .then(() => options.verify !== false && verify(segment))
+          .then(() => {
+            written += segment.data.length;
+          });
+      }), Promise.resolve()).then(() => total);
+    };
+
+    /**
+     * Watches a memory region for changes by polling it with ReadMemory at low priority, e.g. a buffer or a peripheral
+     * register block. Unlike {@link PCM#SubscribeVariable SubscribeVariable}, it works with FreeMASTER Lite too. The
+     * changes are reported to the callback and by the MemoryChanged event as an array of { offset, old, new } objects,
+     * one per changed element, where offset is the byte offset in the region. The first read only takes the initial
+     * content of the region. The watch is stopped with the returned function or by {@link PCM#dispose dispose}.
+     *
+     * @example
+     * let stop = pcm.watchMemory(0x20000030, 20, changes => {
+     *     changes.forEach(change => console.log("arr16[" + change.offset / 2 + "]: " + change.old + " -> " + change.new));
+     * }, { type: "int", elSize: 2, interval: 50, coalesce: 500 });
+     *
+     * @param   {number}             addr      Address value.
+     * @param   {number}             size      Region size in bytes.
+     * @param   {Function}           callback  Function called with the changes and the region address.
+     * @param   {MemoryWatchOptions} [options] Polling interval, element type and coalescing of the changes.
+     * @returns {Function} Function which stops the watch.
+     */
+    this.watchMemory = function(addr, size, callback, options) {
+      options = options || {};
+
+      var interval = options.interval !== undefined ? options.interval : 100;
+      var type = options.type || 'uint';
+      var elSize = options.elSize || 1;
+      var low = this.WithOptions({ priority: 'low' });
+      var active = true;
+      var previous = null;
+      var changes = new Map();
+      var timer = null;
+      var flushTimer = null;
+
+      Codec(type, elSize);
+      if (size % elSize) {
+        throw new Error('Region size ' + size + ' is not a multiple of the element size ' + elSize);
+      }
+
+      var flush = () => {
+        var list = Array.from(changes.values())
+          .filter((change) => !Object.is(change.old, change.new))
+          .sort((a, b) => a.offset - b.offset);
+
+        flushTimer = null;
+        changes.clear();
+
+        if (list.length) {
+          try {
+            callback(list, addr);
+          } catch (error) {
+            if (active && options.onError) {
+              options.onError(error);
+            }
+          }
+          Emit.call(this, 'MemoryChanged', [addr, list]);
+        }
+      };
+
+      var compare = (bytes, little) => {
+        var before = new DataView(previous.buffer);
+        var after = new DataView(bytes.buffer);
+
+        for (var offset = 0; offset < size; offset += elSize) {
+          if (bytes.subarray(offset, offset + elSize).some((byte, index) => byte !== previous[offset + index])) {
+            var value = DecodeValue(after, offset, type, elSize, little);
+            var change = changes.get(offset);
+
+            if (change) {
+              change.new = value;
+            } else {
+              changes.set(offset, { offset: offset, old: DecodeValue(before, offset, type, elSize, little), new: value });
+            }
+          }
+        }
+
+        if (changes.size && flushTimer === null) {
+          if (options.coalesce > 0) {
+            flushTimer = setTimeout(flush, options.coalesce);
+          } else {
+            flush();
+          }
+        }
+      };
+
+      var poll = () => {
+        Promise.all([elSize > 1 ? LittleEndian.call(this) : true, low.readMemoryRange(addr, size, { retries: 0 })])
+          .then((results) => {
+            if (active && previous) {
+              compare(results[1], results[0]);
+            }
+            previous = results[1];
+          })
+          .catch((error) => {
+            if (active && options.onError) {
+              options.onError(error);
+            }
+          })
+          .then(() => {
+            if (active) {
+              timer = setTimeout(poll, interval);
+            }
+          });
+      };
+
+      var stop = () => {
+        active = false;
+        clearTimeout(timer);
+        clearTimeout(flushTimer);
+        removePoller();
+      };
+      var removePoller = AddPoller(stop);
+
+      poll();
+
+      return stop;
+    };
+
+    /**
+     * Resolves to the local symbol table, built on the first call from the symbol names and their GetSymbolInfo
+     * information requested in JSON-RPC batches of a bounded size. The table is kept until the symbols change by ReadELF, ReadTSA,
+     * DefineSymbol or DeleteAllScriptSymbols, so its name and address lookups avoid the round trips of GetSymbolInfo
+     * and GetAddressInfo. The symbols whose information could not be read are listed in the failures of the table.
+     *
+     * @example
+     * pcm.ReadELF()
+     *     .then(() => pcm.symbolTable())
+     *     .then(table => {
+     *         let location = table.at(faultAddress);
+     *         console.log(location ? location.symbol.name + "+" + location.offset : "unknown address");
+     *     });
+     *
+     * @example
+     * // Rebuild the table, 200 symbols per batch
+     * pcm.symbolTable({ reload: true, batchSize: 200 });
+     *
+     * @param   {SymbolTableOptions|boolean} [options] Reload and batch size; true is the same as { reload: true }.
+     * @returns {Promise} Resolved promise will contain the {@link SymbolTable SymbolTable}.
+     */
+    this.symbolTable = function(options) {
+      options = typeof options === 'boolean' ? { reload: options } : options || {};
+
+      var batchSize = Math.max(1, options.batchSize || 64);
+
+      /* Requests the information of the symbols in batches of batchSize calls, one batch at a time. */
+      var infos = (names) => {
+        var responses = [];
+        var batches = [];
+
+        for (var start = 0; start < names.length; start += batchSize) {
+          batches.push(names.slice(start, start + batchSize));
+        }
+
+        return batches.reduce((previous, batch) => previous.then(() => {
+          return SendBatch.call(this, batch.map((name) => ['GetSymbolInfo', [name]])).then((results) => {
+            responses = responses.concat(results);
+          });
+        }), Promise.resolve()).then(() => responses);
+      };
+
+      if (!symbolTable || options.reload) {
+        var building = this.listSymbols({ concurrency: 8 })
+          .then((names) => infos(names).then((responses) => {
+            var symbols = [];
+            var failures = [];
+
+            responses.forEach((response, index) => {
+              var info = response.success ? SymbolInfoOf.call(this, response) : {};
+
+              if (typeof info.addr === 'number') {
+                symbols.push({ name: names[index], addr: info.addr, size: info.size || 0, type: info.type || '' });
+              } else {
+                failures.push({
+                  name: names[index],
+                  error: response.error || new PCMError('address of the symbol is unknown', 'GetSymbolInfo', [names[index]])
+                });
+              }
+            });
+
+            return new SymbolTable(symbols, failures);
+          }))
+          .catch((error) => {
+            if (symbolTable === building) {
+              symbolTable = null;
+            }
+            throw error;
+          });
+
+        symbolTable = building;
+      }
+
+      return symbolTable;
+    };
+
+    /**
+     * Creates a view of the PCM object that applies the given options to every call made through it.
+     * The view shares the connection and the event handlers with the original object.
+     *
+     * @example
+     * pcm.WithOptions({ timeout: 60000 }).ReadELF().then(response => console.log(response.data));
+     *
+     * @param   {CallOptions} callOptions Options applied to the calls made through the view.
+     * @returns {PCM} The PCM view.
+     */
+    this.WithOptions = function(callOptions) {
+      var view = Object.create(this);
+      views.set(view, Object.assign({}, views.get(this), callOptions));
+      return view;
+    };
+
+    /**
+     * Registers an interceptor of the JSON-RPC calls. Interceptors are called in the registration order with a context
+     * and a next function, which passes the call to the following interceptor and finally to the service. Whatever the
+     * interceptor returns (or resolves to) becomes the service response, so it can rewrite the call, post-process the
+     * response or short-circuit the call by not calling next at all. Interceptors also see the JSON-RPC requests and
+     * notifications (events) received from the service; the direction property of the context tells them apart.
+     *
+     * | Context property | Description                                                        |
+     * | :--------------- | :----------------------------------------------------------------- |
+     * | direction        | 'out' for PCM calls, 'in' for requests and events from the service |
+     * | method           | Method name, may be rewritten before calling next                  |
+     * | params           | Method parameters, may be rewritten before calling next            |
+     * | id               | JSON-RPC request id, available once next was called                |
+     * | startTime        | Time the call entered the interceptors (ms since epoch)            |
+     * | endTime          | Time the call was finished                                         |
+     * | duration         | Call duration in milliseconds                                      |
+     * | result / error   | Call outcome                                                       |
+     *
+     * @example
+     * // Log the latency of each call
+     * pcm.use(function(ctx, next) {
+     *     return next().then(response => {
+     *         console.log(ctx.method + " #" + ctx.id + " took " + (Date.now() - ctx.startTime) + " ms");
+     *         return response;
+     *     });
+     * });
+     *
+     * @example
+     * // Serve symbol information from a cache
+     * let cache = {};
+     * pcm.use(function(ctx, next) {
+     *     if (ctx.direction !== 'out' || ctx.method !== 'GetSymbolInfo') {
+     *         return next();
+     *     }
+     *     let key = JSON.stringify(ctx.params);
+     *     return cache[key] || (cache[key] = next());
+     * });
+     *
+     * @param   {Function} interceptor Interceptor function called with the context and the next function.
+     * @returns {Function} Function which unregisters the interceptor.
+     */
+    this.use = function(interceptor) {
+      return jrpc.use(interceptor);
+    };
+
+    /**
+     * Registers a listener of a PCM event. Unlike the On&lt;Event&gt; handler properties (e.g. OnVariableChanged), which
+     * are still called first, any number of listeners can be registered for the same event. The events and the listener
+     * arguments are:
+     *
+     * | Event                | Arguments            |
+     * |----------------------|----------------------|
+     * | SocketOpen           | event                |
+     * | SocketClose          | event                |
+     * | SocketError          | event                |
+     * | ServerError          | error                |
+     * | Reconnecting         | attempt, delay       |
+     * | Reconnected          | event, failures      |
+     * | BoardDetected        |                      |
+     * | CommPortStateChanged | state                |
+     * | VariableChanged      | name, id, value      |
+     * | RecorderDone         | id                   |
+     * | MemoryChanged        | addr, changes        |
+     *
+     * The events of the full FreeMASTER application (BoardDetected, CommPortStateChanged, VariableChanged, RecorderDone)
+     * are generated after {@link PCM#EnableExtraFeatures EnableExtraFeatures} and EnableEvents calls. Their parameters
+     * beyond the listed ones are passed on, an event with missing or mistyped parameters is reported by ServerError with
+     * a ProtocolError of code -32602 instead. MemoryChanged is generated by the memory regions watched by
+     * {@link PCM#watchMemory watchMemory}.
+     *
+     * @example
+     * pcm.on("SocketClose", () => console.log("Connection lost"));
+     *
+     * @example
+     * // Listen to the changes of one variable only
+     * pcm.on("VariableChanged", { name: "var16" }, (name, id, value) => console.log("var16 = " + value));
+     *
+     * @example
+     * // Filter by a predicate called with the listener arguments
+     * let off = pcm.on("VariableChanged", (name, id, value) => value > 100, (name) => console.log(name + " over limit"));
+     * off();
+     *
+     * @param   {string}          event    Event name.
+     * @param   {Object|Function} [filter] Object with the expected values of the named listener arguments, or a predicate
+     *                                     called with the listener arguments.
+     * @param   {Function}        listener Function called with the event arguments.
+     * @returns {Function} Function which removes the listener.
+     */
+    this.on = function(event, filter, listener) {
+      return AddListener.call(this, event, filter, listener, false);
+    };
+
+    /**
+     * Registers a listener of a PCM event, which is removed after it is called for the first time.
+     * @see {@link PCM#on on}
+     *
+     * @example
+     * pcm.once("Reconnected", () => console.log("Back online"));
+     *
+     * @param   {string}          event    Event name.
+     * @param   {Object|Function} [filter] Object with the expected values of the named listener arguments, or a predicate.
+     * @param   {Function}        listener Function called with the event arguments.
+     * @returns {Function} Function which removes the listener.
+     */
+    this.once = function(event, filter, listener) {
+      return AddListener.call(this, event, filter, listener, true);
+    };
+
+    /**
+     * Removes a listener registered by {@link PCM#on on} or {@link PCM#once once}. All listeners of the event are
+     * removed when the listener is not specified.
+     *
+     * @example
+     * pcm.off("VariableChanged", onChange);
+     *
+     * @param {string}   event      Event name.
+     * @param {Function} [listener] The listener to be removed.
+     */
+    this.off = function(event, listener) {
+      if (listener === undefined) {
+        delete listeners[event];
+      } else if (listeners[event]) {
+        listeners[event] = listeners[event].filter((entry) => entry.listener !== listener);
+      }
+    };
+
+    /**
+     * Returns the number of requests waiting for a free request slot.
+     * @see {@link PCMOptions PCMOptions} maxInFlight
+     *
+     * @example
+     * console.log(pcm.queueDepth() + " requests waiting, " + pcm.queueDepth("low") + " of them background reads");
+     *
+     * @param   {string} [priority] Count only the requests of the priority ('high', 'normal' or 'low').
+     * @returns {number} Number of waiting requests.
+     */
+    this.queueDepth = function(priority) {
+      if (priority !== undefined) {
+        return PRIORITIES.hasOwnProperty(priority) ? waiting[PRIORITIES[priority]].length : 0;
+      }
 
-    socket.onerror = function(event) {
-      this.OnSocketError(event);
-    }.bind(this);
+      return waiting.reduce((depth, queue) => depth + queue.length, 0);
+    };
 
-    socket.onmessage = function(event) {
-      jrpc.messageHandler(event.data);
+    /**
+     * Returns the requests sent to the service and waiting for the response. Requests issued before the connection was
+     * open and not yet delivered are included too.
+     *
+     * @example
+     * pcm.pending().forEach(request => console.log(request.method, Date.now() - request.startTime + " ms"));
+     *
+     * @returns {Array<Object>} Requests with id, method, params and startTime (the time the request was sent) properties.
+     */
+    this.pending = function() {
+      return jrpc.pending();
     };
 
-    function SendRequest(method, args) {
-      return new Promise((resolve, reject) => {
-        jrpc.call(method, args)
-          .then((response) => {
-            if (response.success)
-              resolve(response);
-            else
-              reject(response.error);
-          })
-          .catch((error) => {
-            this.OnServerError(error);
-          });
-      });
-    }
+    /**
+     * Creates a view of the PCM object with a specific request timeout.
+     * @see {@link PCM#WithOptions WithOptions}
+     *
+     * @example
+     * pcm.WithTimeout(1000).ReadVariable("var16")
+     *     .then(response => console.log(response.data))
+     *     .catch(error => console.log(error.message));
+     *
+     * @param   {number} timeout Request timeout in milliseconds, 0 waits for the response forever.
+     * @returns {PCM} The PCM view.
+     */
+    this.WithTimeout = function(timeout) {
+      return this.WithOptions({ timeout: timeout });
+    };
 
     /**
      * Requests Freemaster Lite service version.
@@ -241,6 +3252,36 @@
       return SendRequest.call(this, 'EnumCommPorts', [index]);
     };
 
+    /**
+     * Iterates over the communication port names, see {@link PCM#EnumCommPorts EnumCommPorts};
+     * the list ends like the one of {@link PCM#symbols symbols}.
+     *
+     * @example
+     * for await (const port of pcm.commPorts({ concurrency: 4 })) {
+     *     console.log(port);
+     * }
+     *
+     * @param   {EnumerationOptions} [options] Concurrency and cache of the iteration.
+     * @returns {AsyncIterator} Async iterator of the port names.
+     */
+    this.commPorts = function(options) {
+      return Enumerate.call(this, 'EnumCommPorts', options);
+    };
+
+    /**
+     * Lists the communication port names.
+     * @see {@link PCM#commPorts commPorts}
+     *
+     * @example
+     * pcm.listCommPorts().then(ports => console.log(ports.length));
+     *
+     * @param   {EnumerationOptions} [options] Concurrency and cache of the iteration.
+     * @returns {Promise} Resolved promise will contain the array of the port names.
+     */
+    this.listCommPorts = function(options) {
+      return Collect(this.commPorts(options));
+    };
+
     /**
      * Requests communication port information (defined in project file).
      * @see {@link PCM#EnumCommPorts EnumCommPorts}
@@ -387,11 +3428,20 @@
      * @example
      * pcm.ReadIntVariable(0x20050080, 2).then(response => console.log(response.data));
      *
+     * @example
+     * // 8-byte integers without the loss of precision
+     * pcm.WithOptions({ bigint: true }).ReadIntVariable("var64", 8).then(response => console.log(response.data)); // e.g. -5n
+     *
      * @param   {number|string} addr   Address value or symbol name.
      * @param   {number}        size   Integer size, can be 1, 2, 4, or 8.
-     * @returns {Promise} In case of success, resolved promise will contain data property of type number representing the read value.
+     * @returns {Promise} In case of success, resolved promise will contain data property of type number representing the read value,
+     *                    or BigInt with the bigint option (see {@link CallOptions CallOptions}).
      */
     this.ReadIntVariable = function(addr, size) {
+      if (BigIntAccess(this, size)) {
+        return ReadBigInts.call(this, addr, 1, 'int').then((response) => Object.assign(response, { data: response.data[0] }));
+      }
+
       return SendRequest.call(this, 'ReadIntVariable', [addr, size]);
     };
 
@@ -403,10 +3453,15 @@
      *
      * @param   {number|string} addr   Address value or symbol name.
      * @param   {number}        size   Integer size, can be 1, 2, 4, or 8.
-     * @returns {Promise} In case of success, resolved promise will contain data property of type number representing the read value.
+     * @returns {Promise} In case of success, resolved promise will contain data property of type number representing the read value,
+     *                    or BigInt with the bigint option (see {@link CallOptions CallOptions}).
      */
     this.ReadUIntVariable = function(addr, size) {
-      return SendRequest.call(this, 'ReadUIntVariable', [addr, size]);
+      if (BigIntAccess(this, size)) {
+        return ReadBigInts.call(this, addr, 1, 'uint').then((response) => Object.assign(response, { data: response.data[0] }));
+      }
+
+      return SendRead.call(this, 'ReadUIntVariable', [addr, size]);
     };
 
     /**
@@ -419,7 +3474,7 @@
      * @returns {Promise} In case of success, resolved promise will contain data property of type number representing the read value.
      */
     this.ReadFloatVariable = function(addr) {
-      return SendRequest.call(this, 'ReadFloatVariable', [addr]);
+      return SendRead.call(this, 'ReadFloatVariable', [addr]);
     };
 
     /**
@@ -441,12 +3496,19 @@
      * @example
      * pcm.WriteIntVariable(0x20050080, 2, 10).then(() => console.log('Value written.'));
      *
+     * @example
+     * pcm.WriteIntVariable("var64", 8, -9007199254740993n);
+     *
      * @param   {number|string} addr   Address value or symbol name.
      * @param   {number}        size   Integer size, can be 1, 2, 4, or 8.
-     * @param   {Array<number>} data   Integer value to be written.
+     * @param   {Array<number>} data   Integer value to be written, 8-byte integers can be given as BigInt.
      * @returns {Promise} The result does not carry any relevant data.
      */
     this.WriteIntVariable = function(addr, size, data) {
+      if (BigIntAccess(this, size, data)) {
+        return WriteBigInts.call(this, addr, [data], 'int');
+      }
+
       return SendRequest.call(this, 'WriteIntVariable', [addr, size, data]);
     };
 
@@ -458,10 +3520,14 @@
      *
      * @param   {number|string} addr   Address value or symbol name.
      * @param   {number}        size   Integer size, can be 1, 2, 4, or 8.
-     * @param   {Array<number>} data   Integer value to be written.
+     * @param   {Array<number>} data   Integer value to be written, 8-byte integers can be given as BigInt.
      * @returns {Promise} The result does not carry any relevant data.
      */
     this.WriteUIntVariable = function(addr, size, data) {
+      if (BigIntAccess(this, size, data)) {
+        return WriteBigInts.call(this, addr, [data], 'uint');
+      }
+
       return SendRequest.call(this, 'WriteUIntVariable', [addr, size, data]);
     };
 
@@ -500,12 +3566,16 @@
      * // read 20 bytes from address 0x20050080
      * pcm.ReadMemory(0x20050080, 20).then(response => console.log(response.data));
      *
+     * @example
+     * pcm.WithOptions({ typedArrays: true }).ReadMemory(0x20050080, 1024).then(response => console.log(response.data)); // Uint8Array
+     *
      * @param   {number} addr   Address value.
      * @param   {number} size   Number of elements.
-     * @returns {Promise} In case of success, resolved promise will contain data property of type Array<number>.
+     * @returns {Promise} In case of success, resolved promise will contain data property of type Array<number>, or Uint8Array
+     *                    with the typedArrays option (see {@link CallOptions CallOptions}).
      */
     this.ReadMemory = function(addr, size) {
-      return SendRequest.call(this, 'ReadMemory', [addr, size]);
+      return SendRequest.call(this, 'ReadMemory', [addr, size]).then(TypedArrayResult(this, 'uint', 1));
     };
 
     /**
@@ -518,10 +3588,17 @@
      * @param   {number|string} addr   Address value or symbol name.
      * @param   {number}        size   Number of elements.
      * @param   {number}        elSize Element size, can be 1, 2, 4, or 8.
-     * @returns {Promise} In case of success, resolved promise will contain data property of type Array<number>.
+     * @returns {Promise} In case of success, resolved promise will contain data property of type Array<number>, or Array<BigInt>
+     *                    for 8-byte elements with the bigint option; with the typedArrays option the data is Int8Array,
+     *                    Int16Array, Int32Array or BigInt64Array
+     *                    (see {@link CallOptions CallOptions}).
      */
     this.ReadIntArray = function(addr, size, elSize) {
-      return SendRequest.call(this, 'ReadIntArray', [addr, size, elSize]);
+      var request = BigIntAccess(this, elSize) || (elSize === 8 && CallOptions(this).typedArrays)
+        ? ReadBigInts.call(this, addr, size, 'int')
+        : SendRequest.call(this, 'ReadIntArray', [addr, size, elSize]);
+
+      return request.then(TypedArrayResult(this, 'int', elSize));
     };
 
     /**
@@ -534,10 +3611,17 @@
      * @param   {number|string} addr   Address value or symbol name.
      * @param   {number}        size   Number of elements.
      * @param   {number}        elSize Element size, can be 1, 2, 4, or 8.
-     * @returns {Promise} In case of success, resolved promise will contain data property of type Array<number>.
+     * @returns {Promise} In case of success, resolved promise will contain data property of type Array<number>, or Array<BigInt>
+     *                    for 8-byte elements with the bigint option; with the typedArrays option the data is Uint8Array,
+     *                    Uint16Array, Uint32Array or BigUint64Array
+     *                    (see {@link CallOptions CallOptions}).
      */
     this.ReadUIntArray = function(addr, size, elSize) {
-      return SendRequest.call(this, 'ReadUIntArray', [addr, size, elSize]);
+      var request = BigIntAccess(this, elSize) || (elSize === 8 && CallOptions(this).typedArrays)
+        ? ReadBigInts.call(this, addr, size, 'uint')
+        : SendRequest.call(this, 'ReadUIntArray', [addr, size, elSize]);
+
+      return request.then(TypedArrayResult(this, 'uint', elSize));
     };
 
     /**
@@ -549,10 +3633,11 @@
      *
      * @param   {number|string} addr   Address value or symbol name.
      * @param   {number}        size   Number of elements.
-     * @returns {Promise} In case of success, resolved promise will contain data property of type Array<number>.
+     * @returns {Promise} In case of success, resolved promise will contain data property of type Array<number>, or Float32Array
+     *                    with the typedArrays option (see {@link CallOptions CallOptions}).
      */
     this.ReadFloatArray = function(addr, size) {
-      return SendRequest.call(this, 'ReadFloatArray', [addr, size]);
+      return SendRequest.call(this, 'ReadFloatArray', [addr, size]).then(TypedArrayResult(this, 'float', 4));
     };
 
     /**
@@ -564,10 +3649,11 @@
      *
      * @param   {number|string} addr   Address value or symbol name.
      * @param   {number}        size   Number of elements.
-     * @returns {Promise} In case of success, resolved promise will contain data property of type Array<number>.
+     * @returns {Promise} In case of success, resolved promise will contain data property of type Array<number>, or Float64Array
+     *                    with the typedArrays option (see {@link CallOptions CallOptions}).
      */
     this.ReadDoubleArray = function(addr, size) {
-      return SendRequest.call(this, 'ReadDoubleArray', [addr, size]);
+      return SendRequest.call(this, 'ReadDoubleArray', [addr, size]).then(TypedArrayResult(this, 'double', 8));
     };
 
     /**
@@ -577,10 +3663,16 @@
      * pcm.WriteMemory(0x20050080, [1, 2, 3, 4, 5]).then(response => console.log(response.data));
      *
      * @param   {number}        addr   Address value.
-     * @param   {Array<number>} data   Array of bytes to be written.
+     * @param   {Array<number>|Uint8Array} data Array of bytes to be written.
      * @returns {Promise} In case of success, resolved promise will contain data property of type number representing the number of successfully writen array elements.
      */
     this.WriteMemory = function(addr, data) {
+      try {
+        data = ArrayData(data, 'uint', 1);
+      } catch (error) {
+        return Promise.reject(error);
+      }
+
       return SendRequest.call(this, 'WriteMemory', [addr, data]);
     };
 
@@ -590,12 +3682,26 @@
      * @example
      * pcm.WriteIntArray(0x20050080, 2, [1, 2, 3, 4, 5]).then(response => console.log(response.data));
      *
+     * @example
+     * pcm.WriteIntArray("arr16", 2, Int16Array.of(-1, 0, 1));
+     *
      * @param   {number|string} addr   Address value or symbol name.
      * @param   {number}        elSize Element size, can be 1, 2, 4, or 8.
-     * @param   {Array<number>} data   Array of integers to be written.
+     * @param   {Array<number>|TypedArray} data Array of integers to be written, 8-byte integers can be given as BigInt. The
+     *                                          elements of TypedArrays must be integers of the element size.
      * @returns {Promise} In case of success, resolved promise will contain data property of type number representing the number of successfully writen array elements.
      */
     this.WriteIntArray = function(addr, elSize, data) {
+      try {
+        data = ArrayData(data, 'int', elSize);
+      } catch (error) {
+        return Promise.reject(error);
+      }
+
+      if (BigIntAccess(this, elSize, data)) {
+        return WriteBigInts.call(this, addr, data, 'int');
+      }
+
       return SendRequest.call(this, 'WriteIntArray', [addr, elSize, data]);
     };
 
@@ -607,10 +3713,21 @@
      *
      * @param   {number|string} addr   Address value or symbol name.
      * @param   {number}        elSize Element size, can be 1, 2, 4, or 8.
-     * @param   {Array<number>} data   Array of integers to be written.
+     * @param   {Array<number>|TypedArray} data Array of integers to be written, 8-byte integers can be given as BigInt. The
+     *                                          elements of TypedArrays must be integers of the element size.
      * @returns {Promise} In case of success, resolved promise will contain data property of type number representing the number of successfully writen array elements.
      */
     this.WriteUIntArray = function(addr, elSize, data) {
+      try {
+        data = ArrayData(data, 'uint', elSize);
+      } catch (error) {
+        return Promise.reject(error);
+      }
+
+      if (BigIntAccess(this, elSize, data)) {
+        return WriteBigInts.call(this, addr, data, 'uint');
+      }
+
       return SendRequest.call(this, 'WriteUIntArray', [addr, elSize, data]);
     };
 
@@ -621,10 +3738,16 @@
      * pcm.ReadFloatArray('arrFLT', [1.0, 2.0, 3.0, 4.0, 5.0]).then(response => console.log(response.data));
      *
      * @param   {number|string} addr   Address value or symbol name.
-     * @param   {number}        data   Array of floats to be written.
+     * @param   {Array<number>|Float32Array} data Array of floats to be written.
      * @returns {Promise} In case of success, resolved promise will contain data property of type number representing the number of successfully writen array elements.
      */
     this.WriteFloatArray = function(addr, data) {
+      try {
+        data = ArrayData(data, 'float', 4);
+      } catch (error) {
+        return Promise.reject(error);
+      }
+
       return SendRequest.call(this, 'WriteFloatArray', [addr, data]);
     };
 
@@ -635,13 +3758,66 @@
      * pcm.WriteDoubleArray('arrDBL', [1.0, 2.0, 3.0, 4.0, 5.0]).then(response => console.log(response.data));
      *
      * @param   {number|string} addr   Address value or symbol name.
-     * @param   {number}        size   Array of doubles to be written.
+     * @param   {Array<number>|Float64Array} data Array of doubles to be written.
      * @returns {Promise} In case of success, resolved promise will contain data property of type number representing the number of successfully writen array elements.
      */
     this.WriteDoubleArray = function(addr, data) {
+      try {
+        data = ArrayData(data, 'double', 8);
+      } catch (error) {
+        return Promise.reject(error);
+      }
+
       return SendRequest.call(this, 'WriteDoubleArray', [addr, data]);
     };
 
+    /**
+     * Reads an array of fractional values from a memory location and converts them to floating point numbers.
+     * Use ReadIntArray or ReadUIntArray to get the raw values.
+     *
+     * @example
+     * // read 10 Q15 values
+     * pcm.ReadFractArray("arr16", 10, { type: "fract", size: 2, q_n: 15 }).then(response => console.log(response.data));
+     *
+     * @param   {number|string} addr   Address value or symbol name.
+     * @param   {number}        size   Number of elements.
+     * @param   {FractFormat}   format Format of the elements, the size property is the element size.
+     * @returns {Promise} In case of success, resolved promise will contain data property of type Array<number>.
+     */
+    this.ReadFractArray = function(addr, size, format) {
+      var method = format.type === 'ufract' ? 'ReadUIntArray' : 'ReadIntArray';
+
+      return SendRequest.call(this, method, [addr, size, format.size]).then((response) => {
+        return Object.assign({}, response, { data: response.data.map((raw) => FractToFloat(raw, format)) });
+      });
+    };
+
+    /**
+     * Converts floating point numbers to fractional values and writes them to a memory location.
+     * Use WriteIntArray or WriteUIntArray to write the raw values.
+     *
+     * @example
+     * pcm.WriteFractArray("arr16", [0.5, -0.25, 1.0], { type: "fract", size: 2, q_n: 15 }, { rounding: "trunc" });
+     *
+     * @param   {number|string}                          addr      Address value or symbol name.
+     * @param   {Array<number>|Float32Array|Float64Array} data      Array of floating point numbers to be written.
+     * @param   {FractFormat}                            format    Format of the elements, the size property is the
+     *                                                             element size.
+     * @param   {FractOptions}                           [options] Rounding and saturation.
+     * @returns {Promise} In case of success, resolved promise will contain data property of type number representing the number of successfully writen array elements.
+     */
+    this.WriteFractArray = function(addr, data, format, options) {
+      var method = format.type === 'ufract' ? 'WriteUIntArray' : 'WriteIntArray';
+
+      try {
+        data = Array.from(data, (value) => FloatToFract(value, format, options));
+      } catch (error) {
+        return Promise.reject(error);
+      }
+
+      return SendRequest.call(this, method, [addr, format.size, data]);
+    };
+
     /**
      * Sends the command to read symbols from the elf file associated with the current connection (defined in project file).
      * @see {@link PCM#EnumSymbols EnumSymbols}
@@ -693,6 +3869,36 @@
       return SendRequest.call(this, 'EnumSymbols', [index]);
     };
 
+    /**
+     * Iterates over the symbol names, see {@link PCM#EnumSymbols EnumSymbols}. The list ends at the first index out of range,
+     * the other errors, including the other service errors, are thrown by the iteration.
+     *
+     * @example
+     * for await (const symbol of pcm.symbols({ concurrency: 4 })) {
+     *     console.log(symbol);
+     * }
+     *
+     * @param   {EnumerationOptions} [options] Concurrency and cache of the iteration.
+     * @returns {AsyncIterator} Async iterator of the symbol names.
+     */
+    this.symbols = function(options) {
+      return Enumerate.call(this, 'EnumSymbols', options);
+    };
+
+    /**
+     * Lists the symbol names.
+     * @see {@link PCM#symbols symbols}
+     *
+     * @example
+     * pcm.listSymbols().then(symbols => console.log(symbols.length));
+     *
+     * @param   {EnumerationOptions} [options] Concurrency and cache of the iteration.
+     * @returns {Promise} Resolved promise will contain the array of the symbol names.
+     */
+    this.listSymbols = function(options) {
+      return Collect(this.symbols(options));
+    };
+
     /**
      * Requests symbol information.
      * @see {@link PCM#EnumSymbols EnumSymbols}
@@ -735,6 +3941,36 @@
       return SendRequest.call(this, 'EnumVariables', [index]);
     };
 
+    /**
+     * Iterates over the variable names, see {@link PCM#EnumVariables EnumVariables};
+     * the list ends like the one of {@link PCM#symbols symbols}.
+     *
+     * @example
+     * for await (const variable of pcm.variables({ concurrency: 4 })) {
+     *     console.log(variable);
+     * }
+     *
+     * @param   {EnumerationOptions} [options] Concurrency and cache of the iteration.
+     * @returns {AsyncIterator} Async iterator of the variable names.
+     */
+    this.variables = function(options) {
+      return Enumerate.call(this, 'EnumVariables', options);
+    };
+
+    /**
+     * Lists the variable names.
+     * @see {@link PCM#variables variables}
+     *
+     * @example
+     * pcm.listVariables().then(variables => console.log(variables.length));
+     *
+     * @param   {EnumerationOptions} [options] Concurrency and cache of the iteration.
+     * @returns {Promise} Resolved promise will contain the array of the variable names.
+     */
+    this.listVariables = function(options) {
+      return Collect(this.variables(options));
+    };
+
     /**
      * Requests variable information.
      * @see {@link PCM#DefineVariable DefineVariable}
@@ -803,7 +4039,7 @@
      * @returns {Promise} In case of success, resolved promise will contain data property of type number representing variable value.
      */
     this.ReadVariable = function(name) {
-      return SendRequest.call(this, 'ReadVariable', [name]);
+      return SendRead.call(this, 'ReadVariable', [name]);
     };
 
     /**
@@ -820,6 +4056,47 @@
       return SendRequest.call(this, 'WriteVariable', [name, value]);
     };
 
+    /**
+     * Reads values of several variables in a single JSON-RPC batch.
+     * @see {@link PCM#ReadVariable ReadVariable}
+     *
+     * @example
+     * pcm.ReadVariables(["var16", "var32"]).then(results => {
+     *     if (results.var16.success)
+     *         console.log(results.var16.data);
+     *     else
+     *         console.log(results.var16.error.message);
+     * });
+     *
+     * @param   {Array<string>} names Variable names.
+     * @returns {Promise} Resolved promise will contain an object mapping each variable name to its response. Responses of failed
+     *                    reads have success property set to false and error property of type {@link PCMError PCMError}.
+     */
+    this.ReadVariables = function(names) {
+      return SendBatch.call(this, names.map((name) => ['ReadVariable', [name]]))
+        .then((responses) => ResultMap(names, responses));
+    };
+
+    /**
+     * Writes values of several variables in a single JSON-RPC batch.
+     * @see {@link PCM#WriteVariable WriteVariable}
+     *
+     * @example
+     * pcm.WriteVariables({ var16inc: 1, var32inc: 100 }).then(results => {
+     *     Object.keys(results).filter(name => !results[name].success).forEach(name => console.log(name + " not written"));
+     * });
+     *
+     * @param   {Object} values Object mapping variable names to the values to be written.
+     * @returns {Promise} Resolved promise will contain an object mapping each variable name to its response. Responses of failed
+     *                    writes have success property set to false and error property of type {@link PCMError PCMError}.
+     */
+    this.WriteVariables = function(values) {
+      var names = Object.keys(values);
+
+      return SendBatch.call(this, names.map((name) => ['WriteVariable', [name, values[name]]]))
+        .then((responses) => ResultMap(names, responses));
+    };
+
     /**
      * Setups an oscilloscope with a specific ID.
      *
@@ -1470,11 +4747,18 @@
         };
       }
 
-      /* Register event handlers in JSON-RPC */
-      jrpc.dispatch('OnBoardDetected', 'pass', (params_array) => this.OnBoardDetected.apply(null, params_array) );
-      jrpc.dispatch('OnCommPortStateChanged', 'pass', (params_array) => this.OnCommPortStateChanged.apply(null, params_array) );
-      jrpc.dispatch('OnVariableChanged', 'pass', (params_array) => this.OnVariableChanged.apply(null, params_array) );
-      jrpc.dispatch('OnRecorderDone', 'pass', (params_array) => this.OnRecorderDone.apply(null, params_array) );
+      /* Register event handlers in JSON-RPC, the events go to the On<Event> handlers and to the listeners registered by on() */
+      EXTRA_EVENTS.forEach((event) => {
+        jrpc.dispatch(event, 'pass', (params_array) => {
+          var mismatch = root.simple_jsonrpc.validateParams(EVENT_SCHEMAS[event], params_array);
+
+          if (mismatch) {
+            Emit.call(this, 'ServerError', [new ProtocolError({ code: -32602, message: mismatch }, event, params_array)]);
+          } else {
+            Emit.call(this, event.slice(2), params_array || []);
+          }
+        });
+      });
 
       /**
        * Start or stop the communication. This call is provided for backward compatibility with ActiveX
@@ -1705,6 +4989,36 @@
         return SendRequest.call(this, 'EnumHrefLinks', [index]);
       };
 
+      /**
+       * Iterates over the hyperlinks defined by active content, see {@link PCM#EnumHrefLinks EnumHrefLinks};
+       * the list ends like the one of {@link PCM#symbols symbols}.
+       *
+       * @example
+       * for await (const link of pcm.hrefLinks({ concurrency: 4 })) {
+       *     console.log(link);
+       * }
+       *
+       * @param   {EnumerationOptions} [options] Concurrency and cache of the iteration.
+       * @returns {AsyncIterator} Async iterator of the objects with 'name' and 'retval' properties.
+       */
+      this.hrefLinks = function(options) {
+        return Enumerate.call(this, 'EnumHrefLinks', options);
+      };
+
+      /**
+       * Lists the hyperlinks defined by active content.
+       * @see {@link PCM#hrefLinks hrefLinks}
+       *
+       * @example
+       * pcm.listHrefLinks().then(links => console.log(links.length));
+       *
+       * @param   {EnumerationOptions} [options] Concurrency and cache of the iteration.
+       * @returns {Promise} Resolved promise will contain the array of the objects with 'name' and 'retval' properties.
+       */
+      this.listHrefLinks = function(options) {
+        return Collect(this.hrefLinks(options));
+      };
+
       /**
        * Enumerate project files defined by active content.
        *
@@ -1724,6 +5038,36 @@
         return SendRequest.call(this, 'EnumProjectFiles', [index]);
       };
 
+      /**
+       * Iterates over the project files defined by active content, see {@link PCM#EnumProjectFiles EnumProjectFiles};
+       * the list ends like the one of {@link PCM#symbols symbols}.
+       *
+       * @example
+       * for await (const file of pcm.projectFiles({ concurrency: 4 })) {
+       *     console.log(file);
+       * }
+       *
+       * @param   {EnumerationOptions} [options] Concurrency and cache of the iteration.
+       * @returns {AsyncIterator} Async iterator of the objects with 'name' and 'retval' properties.
+       */
+      this.projectFiles = function(options) {
+        return Enumerate.call(this, 'EnumProjectFiles', options);
+      };
+
+      /**
+       * Lists the project files defined by active content.
+       * @see {@link PCM#projectFiles projectFiles}
+       *
+       * @example
+       * pcm.listProjectFiles().then(files => console.log(files.length));
+       *
+       * @param   {EnumerationOptions} [options] Concurrency and cache of the iteration.
+       * @returns {Promise} Resolved promise will contain the array of the objects with 'name' and 'retval' properties.
+       */
+      this.listProjectFiles = function(options) {
+        return Collect(this.projectFiles(options));
+      };
+
       /**
        * Set global flag which affects Control Page reloading after opening port. By default, the page reloads when port is open.
        *
@@ -1856,6 +5200,210 @@
     };
   };
 
+  /**
+   * Creates the default transport factory connecting to the service over WebSocket.
+   *
+   * @example
+   * // Connect through a TLS reverse proxy with an authorization header (NodeJS)
+   * var pcm = new PCM('freemaster.example.com/ws', {
+   *     transport: PCM.WebSocketTransport({ secure: true, options: { headers: { Authorization: token } } })
+   * });
+   *
+   * @param   {WebSocketTransportOptions} [wsOptions] WebSocket transport options.
+   * @returns {Function} Transport factory to be set as the transport option.
+   */
+  PCM.WebSocketTransport = function(wsOptions) {
+    wsOptions = wsOptions || {};
+
+    return function(url) {
+      return new root.WebSocket(SocketUrl(url, wsOptions.secure), wsOptions.protocols, wsOptions.options);
+    };
+  };
+
+  /**
+   * Creates an in-process transport factory. The server function is called for every new connection with
+   * the peer end of the connection, which has a send and a close method and the onmessage and onclose handlers to be set.
+   *
+   * @example
+   * // Serve PCM requests by a local JSON-RPC instance, e.g. in unit tests
+   * var pcm = new PCM('loopback', {
+   *     transport: PCM.LoopbackTransport(function(peer) {
+   *         var server = new simple_jsonrpc();
+   *         server.toStream = peer.send;
+   *         peer.onmessage = server.messageHandler;
+   *         server.dispatch('GetAppVersion', () => ({ success: true, data: '3.0' }));
+   *     })
+   * });
+   *
+   * @param   {Function} server Connection handler.
+   * @returns {Function} Transport factory to be set as the transport option.
+   */
+  PCM.LoopbackTransport = function(server) {
+    return function() {
+      return new LoopbackConnection(server);
+    };
+  };
+
+  /**
+   * Creates an interceptor which traces every call, e.g. for field debugging sessions.
+   * @see {@link PCM#use use}
+   *
+   * @example
+   * pcm.use(PCM.TraceInterceptor());
+   *
+   * @param   {Function} [log=console.log] Trace output function.
+   * @returns {Function} Interceptor to be registered by {@link PCM#use use}.
+   */
+  PCM.TraceInterceptor = function(log) {
+    log = log || console.log;
+
+    return function(ctx, next) {
+      var arrow = ctx.direction === 'out' ? '-->' : '<--';
+
+      function trace(outcome) {
+        log(arrow + ' ' + ctx.method + ' #' + ctx.id + ' ' + JSON.stringify(ctx.params) + ' (' + (Date.now() - ctx.startTime) + ' ms) ' + outcome);
+      }
+
+      return next().then(function(result) {
+        trace(JSON.stringify(result));
+        return result;
+      }, function(error) {
+        trace('failed: ' + (error.message || JSON.stringify(error)));
+        throw error;
+      });
+    };
+  };
+
+  /**
+   * Saves a memory image to a file: a download of the browser, or a file written by Node.
+   * @see {@link PCM#exportMemory exportMemory}
+   *
+   * @example
+   * pcm.exportMemory(0x20000000, 0x400).then(image => PCM.saveImage(image, "ram.hex"));
+   *
+   * @param   {string|Uint8Array} image    Image text or binary data.
+   * @param   {string}            filename File name of the download, or file path in Node.
+   * @returns {Promise} Resolved promise once the file is written (or the download is started).
+   */
+  PCM.saveImage = function(image, filename) {
+    if (typeof document === 'undefined') {
+      return require('fs').promises.writeFile(filename, image);
+    }
+
+    var blob = new Blob([image], { type: typeof image === 'string' ? 'text/plain' : 'application/octet-stream' });
+    var link = document.createElement('a');
+
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    setTimeout(function() {
+      URL.revokeObjectURL(link.href);
+    });
+
+    return Promise.resolve();
+  };
+
+  /**
+   * Loads a memory image from a file: a Blob (e.g. a File of an input element) in the browser, or a file path in Node.
+   * Intel HEX (.hex, .ihex, .ihx) and S-record (.srec, .s19, .s28, .s37, .mot) files are recognized by the file name
+   * extension, the other files are loaded as binary data of raw images.
+   * @see {@link PCM#importMemory importMemory}
+   *
+   * @example
+   * fileInput.onchange = () => PCM.loadImage(fileInput.files[0]).then(image => pcm.importMemory(image));
+   *
+   * @param   {Blob|string} file     File, Blob or file path.
+   * @param   {string}      [format] Image format, 'ihex', 'srec' or 'raw', overrides the file name extension.
+   * @returns {Promise} Resolved promise will contain the image text, or the Uint8Array of raw images.
+   */
+  PCM.loadImage = function(file, format) {
+    var name = typeof file === 'string' ? file : (file.name || '');
+    var extension = name.lastIndexOf('.') >= 0 ? name.slice(name.lastIndexOf('.') + 1).toLowerCase() : '';
+
+    format = format || IMAGE_EXTENSIONS[extension] || 'raw';
+
+    var bytes = typeof file === 'string'
+      ? require('fs').promises.readFile(file)
+      : file.arrayBuffer();
+
+    return bytes.then(function(data) {
+      data = new Uint8Array(data);
+      return format === 'raw' ? data : new TextDecoder().decode(data);
+    });
+  };
+
+  /**
+   * Creates a PCM instance and waits for the connection to be open.
+   *
+   * @example
+   * try {
+   *     let pcm = await PCM.connect(window.location.host, { connectTimeout: 5000 });
+   *     let response = await pcm.GetAppVersion();
+   *     console.log("App version ", response.data);
+   *     pcm.dispose();
+   * } catch (err) {
+   *     console.log("Could not connect to FreeMASTER ", err);
+   * }
+   *
+   * @param   {string}     url       The address of the web server, the ws:// or wss:// scheme is optional.
+   * @param   {PCMOptions} [options] Instance options.
+   * @returns {Promise} Promise resolved with the connected PCM instance, or rejected when the connection fails or times out.
+   */
+  PCM.connect = function(url, options) {
+    options = Object.assign({}, options);
+
+    var connectTimeout = options.connectTimeout !== undefined ? options.connectTimeout : 10000;
+
+    return new Promise(function(resolve, reject) {
+      var settled = false;
+      var timer = null;
+      var pcm = new PCM(url, options);
+
+      function settle(error) {
+        if (settled) {
+          return;
+        }
+
+        settled = true;
+        clearTimeout(timer);
+        pcm.OnSocketOpen = options.onSocketOpen || console.log;
+        pcm.OnSocketError = options.onSocketError || console.log;
+
+        if (error) {
+          pcm.dispose();
+          reject(error);
+        } else {
+          resolve(pcm);
+        }
+      }
+
+      if (connectTimeout > 0) {
+        timer = setTimeout(function() {
+          settle(new TimeoutError('connect', [url], connectTimeout));
+        }, connectTimeout);
+      }
+
+      pcm.OnSocketOpen = function(event) {
+        settle();
+        pcm.OnSocketOpen(event);
+      };
+
+      pcm.OnSocketError = function() {
+        settle(new TransportError('could not connect to ' + url, 'connect', [url]));
+      };
+    });
+  };
+
+  PCM.PCMError = PCMError;
+  PCM.TransportError = TransportError;
+  PCM.TimeoutError = TimeoutError;
+  PCM.ProtocolError = ProtocolError;
+  PCM.ServiceError = ServiceError;
+  PCM.Variable = Variable;
+  PCM.SymbolTable = SymbolTable;
+  PCM.FractToFloat = FractToFloat;
+  PCM.FloatToFract = FloatToFract;
+
   if (typeof define == 'function' && define.amd) {
     define('PCM', [], function () {
       return PCM;
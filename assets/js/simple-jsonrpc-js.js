@@ -121,12 +121,160 @@
 
     ServerError.prototype = new Error();
 
+    function TimeoutError(method, timeout) {
+        this.message = "Request " + method + " timed out after " + timeout + " ms";
+        this.method = method;
+        this.timeout = timeout;
+    }
+
+    TimeoutError.prototype = new Error();
+    TimeoutError.prototype.name = "TimeoutError";
+
+    function SchemaError(code, message, method) {
+        this.message = method + ": " + message;
+        this.code = code;
+        this.method = method;
+        this.data = message;
+    }
+
+    SchemaError.prototype = new Error();
+    SchemaError.prototype.name = "SchemaError";
+
+    /*
+     Schema of a method: { params: [descriptor, ...], result: descriptor }, both members are optional.
+     Descriptor is a type name or { name, type, optional, items, properties } where type is one of TYPES
+     or several of them separated by "|", items describes array elements and properties object members.
+     Params beyond the declared ones are rejected unless the schema sets additionalParams: true.
+     */
+    var TYPES = {
+        "any": function () {
+            return true;
+        },
+        "null": function (value) {
+            return value === null;
+        },
+        "boolean": function (value) {
+            return typeof value === 'boolean';
+        },
+        "number": function (value) {
+            return typeof value === 'number';
+        },
+        "integer": function (value) {
+            return typeof value === 'number' && value % 1 === 0;
+        },
+        "string": isString,
+        "array": isArray,
+        "object": function (value) {
+            return isObject(value) && !isArray(value);
+        }
+    };
+
+    var descriptorOf = function (descriptor) {
+        return isString(descriptor) ? { type: descriptor } : descriptor;
+    };
+
+    var checkDescriptor = function (descriptor) {
+        descriptor = descriptorOf(descriptor);
+        forEach((descriptor.type || "any").split("|"), function (type) {
+            if (!TYPES.hasOwnProperty(type)) {
+                throw new Error('Unknown schema type: ' + type);
+            }
+        });
+        if (descriptor.items) {
+            checkDescriptor(descriptor.items);
+        }
+        forEach(descriptor.properties || {}, checkDescriptor);
+    };
+
+    var checkSchema = function (schema) {
+        if (!isObject(schema)) {
+            throw new Error('Missing required argument: schema - object');
+        }
+        forEach(schema.params || [], checkDescriptor);
+        if (schema.result) {
+            checkDescriptor(schema.result);
+        }
+    };
+
+    // Returns the description of the first mismatch, or null when the value conforms to the descriptor.
+    var validate = function (descriptor, value, path) {
+        descriptor = descriptorOf(descriptor);
+
+        // Omitted positional params travel as null, so null stands for an omitted optional param too.
+        if (isUndefined(value) || (value === null && descriptor.optional)) {
+            return descriptor.optional ? null : path + " is required";
+        }
+
+        var type = descriptor.type || "any";
+        var matches = type.split("|").some(function (name) {
+            return TYPES[name](value);
+        });
+        if (!matches) {
+            return path + " must be of type " + type;
+        }
+
+        var mismatch = null;
+        if (descriptor.items && isArray(value)) {
+            value.some(function (item, index) {
+                mismatch = validate(descriptor.items, item, path + "[" + index + "]");
+                return mismatch;
+            });
+        }
+        if (!mismatch && descriptor.properties && TYPES.object(value)) {
+            Object.keys(descriptor.properties).some(function (key) {
+                mismatch = validate(descriptor.properties[key], value[key], path + "." + key);
+                return mismatch;
+            });
+        }
+        return mismatch;
+    };
+
+    // Params are checked by position when given as an array and by name when given as an object.
+    var validateParams = function (schema, params) {
+        if (!schema || !schema.params) {
+            return null;
+        }
+
+        var declared = schema.params.map(descriptorOf);
+        var mismatch = null;
+
+        if (isUndefined(params) || isArray(params)) {
+            params = params || [];
+            if (params.length > declared.length && !schema.additionalParams) {
+                return "expected at most " + declared.length + " params, got " + params.length;
+            }
+            declared.some(function (descriptor, index) {
+                mismatch = validate(descriptor, params[index], descriptor.name || "params[" + index + "]");
+                return mismatch;
+            });
+        }
+        else {
+            var names = declared.map(function (descriptor) {
+                return descriptor.name;
+            });
+            Object.keys(params).some(function (key) {
+                mismatch = names.indexOf(key) < 0 && !schema.additionalParams ? "param " + key + " is not declared" : null;
+                return mismatch;
+            });
+            declared.some(function (descriptor) {
+                mismatch = mismatch || validate(descriptor, params[descriptor.name], descriptor.name);
+                return mismatch;
+            });
+        }
+        return mismatch;
+    };
+
+    var validateResult = function (schema, result) {
+        return schema && schema.result ? validate(schema.result, result, "result") : null;
+    };
+
     var simple_jsonrpc = function () {
 
         var self = this,
             waitingframe = {},
             id = 0,
-            dispatcher = {};
+            dispatcher = {},
+            interceptors = [];
 
 
         function setError(jsonrpcError, exception) {
@@ -152,48 +300,64 @@
             return error;
         }
 
-        function isPromise(thing) {
-            return !!thing && 'function' === typeof thing.then;
+        function errorResponse(id, jsonrpcError, exception) {
+            return {
+                "jsonrpc": "2.0",
+                "id": id,
+                "error": setError(jsonrpcError, exception)
+            };
         }
 
-        function isError(message) {
-            return !!message.error;
+        function isValidId(id) {
+            return id === null || isString(id) || typeof id === 'number';
+        }
+
+        function isNotification(message) {
+            return !message.hasOwnProperty('id');
         }
 
         function isRequest(message) {
-            return !!message.method;
+            return message.hasOwnProperty('method');
+        }
+
+        function isValidRequest(message) {
+            return message.jsonrpc === "2.0" &&
+                isString(message.method) &&
+                (!message.hasOwnProperty('params') || isObject(message.params)) &&
+                (isNotification(message) || isValidId(message.id));
         }
 
+        // A response carries the id and exactly one of result and error; result may be any value including null.
         function isResponse(message) {
-            return message.hasOwnProperty('result') && message.hasOwnProperty('id');
+            return !isRequest(message) &&
+                message.hasOwnProperty('id') &&
+                message.hasOwnProperty('result') !== message.hasOwnProperty('error');
+        }
+
+        function isError(message) {
+            return isResponse(message) && message.hasOwnProperty('error');
         }
 
         function beforeResolve(message) {
-            var promises = [];
-            if (isArray(message)) {
-                forEach(message, function (msg) {
-                    promises.push(resolver(msg));
-                });
-            }
-            else if (isObject(message)) {
-                promises.push(resolver(message));
-            }
+            // An empty array is a single invalid request, not a batch.
+            var batch = isArray(message) && message.length > 0;
+            var promises = batch ? message.map(resolver) : [resolver(message)];
 
             return _Promise.all(promises)
                 .then(function (result) {
 
-                    var toStream = [];
-                    forEach(result, function (r) {
-                        if (!isUndefined(r)) {
-                            toStream.push(r);
-                        }
+                    var responses = result.filter(function (r) {
+                        return !isUndefined(r);
                     });
 
-                    if (toStream.length === 1) {
-                        self.toStream(JSON.stringify(toStream[0]));
-                    }
-                    else if (toStream.length > 1) {
-                        self.toStream(JSON.stringify(toStream));
+                    // A batch is answered by an array of the responses, or by nothing when it contains only notifications.
+                    if (responses.length) {
+                        try {
+                            self.toStream(JSON.stringify(batch ? responses : responses[0]));
+                        }
+                        catch (e) {
+                            console.log("Error in beforeResolve(): ", e);
+                        }
                     }
                     return result;
                 });
@@ -201,21 +365,33 @@
 
         function resolver(message) {
             try {
-                if (isError(message)) {
+                if (!isObject(message) || isArray(message)) {
+                    return _Promise.resolve(errorResponse(null, ERRORS.INVALID_REQUEST));
+                }
+                else if (isError(message)) {
                     return rejectRequest(message);
                 }
                 else if (isResponse(message)) {
                     return resolveRequest(message);
                 }
-                else if (isRequest(message)) {
-                    return handleRemoteRequest(message);
+                else if (isRequest(message) && isValidRequest(message)) {
+                    var context = createContext("in", message.method, message.params);
+                    context.id = message.id;
+
+                    var response = intercept(context, function () {
+                        if (!isUndefined(context.params)) {
+                            message.params = context.params;
+                        }
+                        return handleRemoteRequest(message);
+                    }).catch(function (e) {
+                        return errorResponse(message.id, ERRORS.INTERNAL_ERROR, e);
+                    });
+
+                    // Notifications are never answered, not even by an error.
+                    return isNotification(message) ? response.then(function () {}) : response;
                 }
                 else {
-                    return _Promise.resolve({
-                        "id": null,
-                        "jsonrpc": "2.0",
-                        "error": setError(ERRORS.INVALID_REQUEST)
-                    });
+                    return _Promise.resolve(errorResponse(isValidId(message.id) ? message.id : null, ERRORS.INVALID_REQUEST));
                 }
             }
             catch (e) {
@@ -224,9 +400,23 @@
             }
         }
 
+        function takeRequest(id) {
+            var request = waitingframe[id];
+            clearTimeout(request.timer);
+            delete waitingframe[id];
+            return request;
+        }
+
+        // The id of a response must be the same value of the same type as the id of the request.
+        function isWaiting(response) {
+            return isValidId(response.id) &&
+                waitingframe.hasOwnProperty(response.id) &&
+                waitingframe[response.id].id === response.id;
+        }
+
         function rejectRequest(error) {
-            if (waitingframe.hasOwnProperty(error.id)) {
-                waitingframe[error.id].reject(error.error);
+            if (isWaiting(error)) {
+                takeRequest(error.id).reject(error.error);
             }
             else {
                 console.log('Unknown request', error);
@@ -234,12 +424,11 @@
         }
 
         function resolveRequest(result) {
-            if (waitingframe.hasOwnProperty(result.id)) {
-                waitingframe[result.id].resolve(result.result);
-                delete waitingframe[result.id];
+            if (isWaiting(result)) {
+                takeRequest(result.id).resolve(result.result);
             }
             else {
-                console.log('unknown request', result);
+                console.log('Unknown request', result);
             }
         }
 
@@ -247,6 +436,12 @@
             if (dispatcher.hasOwnProperty(request.method)) {
                 try {
                     var result;
+                    var schema = dispatcher[request.method].schema;
+                    var mismatch = validateParams(schema, request.params);
+
+                    if (mismatch) {
+                        return _Promise.resolve(errorResponse(request.id, ERRORS.INVALID_PARAMS, mismatch));
+                    }
 
                     if (request.hasOwnProperty('params')) {
                         if (dispatcher[request.method].params == "pass") {
@@ -270,24 +465,17 @@
                                 });
 
                                 if (Object.keys(request.params).length > 0) {
-                                    return _Promise.resolve({
-                                        "jsonrpc": "2.0",
-                                        "id": request.id,
-                                        "error": setError(ERRORS.INVALID_PARAMS, {
-                                            message: "Params: " + Object.keys(request.params).toString() + " not used"
-                                        })
-                                    });
+                                    return _Promise.resolve(errorResponse(request.id, ERRORS.INVALID_PARAMS, {
+                                        message: "Params: " + Object.keys(request.params).toString() + " not used"
+                                    }));
                                 }
                                 else {
                                     result = dispatcher[request.method].fn.apply(dispatcher, argsValues);
                                 }
                             }
                             else {
-                                return _Promise.resolve({
-                                    "jsonrpc": "2.0",
-                                    "id": request.id,
-                                    "error": setError(ERRORS.INVALID_PARAMS, "Undeclared arguments of the method " + request.method)
-                                });
+                                return _Promise.resolve(errorResponse(request.id, ERRORS.INVALID_PARAMS,
+                                    "Undeclared arguments of the method " + request.method));
                             }
                         }
                     }
@@ -296,66 +484,45 @@
                     }
 
                     if (request.hasOwnProperty('id')) {
-                        if (isPromise(result)) {
-                            return result.then(function (res) {
-                                if (isUndefined(res)) {
-                                    res = true;
-                                }
-                                return {
-                                    "jsonrpc": "2.0",
-                                    "id": request.id,
-                                    "result": res
-                                };
-                            })
-                                .catch(function (e) {
-                                    return {
-                                        "jsonrpc": "2.0",
-                                        "id": request.id,
-                                        "error": setError(ERRORS.INTERNAL_ERROR, e)
-                                    };
-                                });
-                        }
-                        else {
+                        return _Promise.resolve(result).then(function (res) {
+                            if (isUndefined(res)) {
+                                res = true;
+                            }
 
-                            if (isUndefined(result)) {
-                                result = true;
+                            var mismatch = validateResult(schema, res);
+                            if (mismatch) {
+                                return errorResponse(request.id, ERRORS.INTERNAL_ERROR, mismatch);
                             }
 
-                            return _Promise.resolve({
+                            return {
                                 "jsonrpc": "2.0",
                                 "id": request.id,
-                                "result": result
+                                "result": res
+                            };
+                        })
+                            .catch(function (e) {
+                                return errorResponse(request.id, ERRORS.INTERNAL_ERROR, e);
                             });
-                        }
                     }
                     else {
                         return _Promise.resolve(); //nothing, it notification
                     }
                 }
                 catch (e) {
-                    return _Promise.resolve({
-                        "jsonrpc": "2.0",
-                        "id": request.id,
-                        "error": setError(ERRORS.INTERNAL_ERROR, e)
-                    });
+                    return _Promise.resolve(errorResponse(request.id, ERRORS.INTERNAL_ERROR, e));
                 }
             }
             else {
-                return _Promise.resolve({
-                    "jsonrpc": "2.0",
-                    "id": request.id,
-                    "error": setError(ERRORS.METHOD_NOT_FOUND, {
-                        message: request.method
-                    })
-                });
+                return _Promise.resolve(errorResponse(request.id, ERRORS.METHOD_NOT_FOUND, {
+                    message: request.method
+                }));
             }
         }
 
         function notification(method, params) {
             var message = {
                 "jsonrpc": "2.0",
-                "method": method,
-                "params": params
+                "method": method
             };
 
             if (isObject(params) && !isEmpty(params)) {
@@ -365,8 +532,10 @@
             return message;
         }
 
-        function call(method, params) {
+        function call(method, params, options) {
             id += 1;
+            var key = id.toString();
+            var timeout = options && options.timeout;
             var message = {
                 "jsonrpc": "2.0",
                 "method": method,
@@ -379,38 +548,145 @@
 
             return {
                 promise: new _Promise(function (resolve, reject) {
-                    waitingframe[id.toString()] = {
+                    waitingframe[key] = {
+                        id: id,
+                        method: method,
+                        params: message.params,
+                        startTime: Date.now(),
                         resolve: resolve,
                         reject: reject
                     };
+
+                    if (timeout > 0) {
+                        waitingframe[key].timer = setTimeout(function () {
+                            if (waitingframe.hasOwnProperty(key)) {
+                                takeRequest(key).reject(new TimeoutError(method, timeout));
+                            }
+                        }, timeout);
+                    }
                 }),
                 message: message
             };
         }
 
+        // Rejects invalid params before the request is sent and an invalid result when the response arrives.
+        function validated(context, sendCall) {
+            var schema = context.options.schema;
+
+            if (!isUndefined(schema)) {
+                checkSchema(schema);
+            }
+
+            var mismatch = validateParams(schema, context.params);
+
+            if (mismatch) {
+                return _Promise.reject(new SchemaError(ERRORS.INVALID_PARAMS.code, mismatch, context.method));
+            }
+
+            return sendCall().then(function (result) {
+                var mismatch = validateResult(schema, result);
+                if (mismatch) {
+                    throw new SchemaError(ERRORS.INTERNAL_ERROR.code, mismatch, context.method);
+                }
+                return result;
+            });
+        }
+
+        function send(_call, options) {
+            try {
+                self.toStream(JSON.stringify(_call.message), options);
+            }
+            catch (e) {
+                takeRequest(_call.message.id.toString()).reject(e);
+            }
+        }
+
+        function createContext(direction, method, params, options) {
+            return {
+                direction: direction,
+                method: method,
+                params: params,
+                options: options || {},
+                id: undefined,
+                startTime: Date.now()
+            };
+        }
+
+        function finishContext(context) {
+            context.endTime = Date.now();
+            context.duration = context.endTime - context.startTime;
+        }
+
+        function intercept(context, handler) {
+            var chain = interceptors.slice();
+            var index = -1;
+
+            function next(position) {
+                if (position <= index) {
+                    return _Promise.reject(new Error("Interceptor called next() multiple times"));
+                }
+                index = position;
+
+                try {
+                    if (position === chain.length) {
+                        return _Promise.resolve(handler());
+                    }
+                    return _Promise.resolve(chain[position](context, function () {
+                        return next(position + 1);
+                    }));
+                }
+                catch (e) {
+                    return _Promise.reject(e);
+                }
+            }
+
+            return next(0).then(function (result) {
+                context.result = result;
+                finishContext(context);
+                return result;
+            }, function (error) {
+                context.error = error;
+                finishContext(context);
+                throw error;
+            });
+        }
+
         self.toStream = function (a) {
             console.log('Need define the toStream method before use');
             console.log(arguments);
         };
 
-        self.dispatch = function (functionName, paramsNameFn, fn) {
+        self.dispatch = function (functionName, paramsNameFn, fn, schema) {
+
+            if (isString(functionName) && isFunction(paramsNameFn) && !isFunction(fn)) {
+                schema = fn;
+                fn = paramsNameFn;
+                paramsNameFn = null;
+            }
+
+            if (!isUndefined(schema)) {
+                checkSchema(schema);
+            }
 
             if (isString(functionName) && paramsNameFn == "pass" && isFunction(fn)) {
                 dispatcher[functionName] = {
                     fn: fn,
-                    params: paramsNameFn
+                    params: paramsNameFn,
+                    schema: schema
                 };
             }
             else if (isString(functionName) && isArray(paramsNameFn) && isFunction(fn)) {
                 dispatcher[functionName] = {
                     fn: fn,
-                    params: paramsNameFn
+                    params: paramsNameFn,
+                    schema: schema
                 };
             }
-            else if (isString(functionName) && isFunction(paramsNameFn) && isUndefined(fn)) {
+            else if (isString(functionName) && paramsNameFn === null && isFunction(fn)) {
                 dispatcher[functionName] = {
-                    fn: paramsNameFn,
-                    params: null
+                    fn: fn,
+                    params: null,
+                    schema: schema
                 };
             }
             else {
@@ -424,29 +700,85 @@
           delete dispatcher[functionName];
         };
 
-        self.call = function (method, params) {
-            var _call = call(method, params);
-            self.toStream(JSON.stringify(_call.message));
-            return _call.promise;
+        self.call = function (method, params, options) {
+            var context = createContext("out", method, params, options);
+
+            return intercept(context, function () {
+                return validated(context, function () {
+                    var _call = call(context.method, context.params, context.options);
+                    context.id = _call.message.id;
+                    send(_call, context.options);
+                    return _call.promise;
+                });
+            });
+        };
+
+        self.use = function (interceptor) {
+            if (!isFunction(interceptor)) {
+                throw new Error('Missing required argument: interceptor - function');
+            }
+
+            interceptors.push(interceptor);
+            return function () {
+                var index = interceptors.indexOf(interceptor);
+                if (index >= 0) {
+                    interceptors.splice(index, 1);
+                }
+            };
+        };
+
+        self.pending = function () {
+            return Object.keys(waitingframe).map(function (key) {
+                var request = waitingframe[key];
+                return {
+                    id: request.id,
+                    method: request.method,
+                    params: request.params,
+                    startTime: request.startTime
+                };
+            });
+        };
+
+        self.rejectAll = function (reason) {
+            forEach(Object.keys(waitingframe), function (key) {
+                takeRequest(key).reject(reason);
+            });
         };
 
         self.notification = function (method, params) {
             self.toStream(JSON.stringify(notification(method, params)));
         };
 
-        self.batch = function (requests) {
+        self.batch = function (requests, options) {
             var promises = [];
             var message = [];
+            var batched = [];
+            var flushed = false;
 
             forEach(requests, function (req) {
                 if (req.hasOwnProperty('call')) {
-                    var _call = call(req.call.method, req.call.params);
-                    message.push(_call.message);
-                    //TODO(jershell): batch reject if one promise reject, so catch reject and resolve error as result;
-                    promises.push(_call.promise.then(function (res) {
-                        return res;
+                    var context = createContext("out", req.call.method, req.call.params, req.call.options || options);
+                    var promise = intercept(context, function () {
+                        return validated(context, function () {
+                            var _call = call(context.method, context.params, context.options);
+                            context.id = _call.message.id;
+
+                            /* Calls released by the interceptors after the batch was sent go out alone. */
+                            if (flushed) {
+                                send(_call, context.options);
+                            }
+                            else {
+                                message.push(_call.message);
+                                batched.push(_call.message.id.toString());
+                            }
+                            return _call.promise;
+                        });
+                    });
+                    /* One rejected call must not reject the others, so every call settles to its own outcome. */
+                    promises.push(promise.then(function (res) {
+                        return { status: "fulfilled", value: res };
                     }, function (err) {
-                        return err;
+                        return { status: "rejected", reason: err };
                     }));
                 }
                 else if (req.hasOwnProperty('notification')) {
@@ -454,7 +786,19 @@
                 }
             });
 
-            self.toStream(JSON.stringify(message));
+            flushed = true;
+            if (message.length) {
+                try {
+                    self.toStream(JSON.stringify(message), options);
+                }
+                catch (e) {
+                    forEach(batched, function (key) {
+                        if (waitingframe.hasOwnProperty(key)) {
+                            takeRequest(key).reject(e);
+                        }
+                    });
+                }
+            }
             return _Promise.all(promises);
         };
 
@@ -465,11 +809,12 @@
             }
             catch (e) {
                 console.log("Error in messageHandler(): ", e);
-                self.toStream(JSON.stringify({
-                    "id": null,
-                    "jsonrpc": "2.0",
-                    "error": ERRORS.PARSE_ERROR
-                }));
+                try {
+                    self.toStream(JSON.stringify(errorResponse(null, ERRORS.PARSE_ERROR)));
+                }
+                catch (streamError) {
+                    console.log("Error in messageHandler(): ", streamError);
+                }
                 return _Promise.reject(e);
             }
         };
@@ -479,6 +824,10 @@
         };
     };
 
+    simple_jsonrpc.TimeoutError = TimeoutError;
+    simple_jsonrpc.SchemaError = SchemaError;
+    simple_jsonrpc.validateParams = validateParams;
+
     if (typeof define == 'function' && define.amd) {
         define('simple_jsonrpc', [], function () {
             return simple_jsonrpc;
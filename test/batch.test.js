@@ -0,0 +1,33 @@
+// Tests of the batched variable reads and writes of freemaster-client.js against the mock FreeMASTER service.
+//
+// Run: node --test test/
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./mock-session.js');
+
+var PCM = helpers.PCM;
+var Session = helpers.Session;
+var Start = helpers.Start;
+
+test('sends ReadVariables as one batch and settles each variable on its own', (t) => {
+  var session;
+
+  return Session(t).then(Start).then((started) => {
+    session = started;
+    return Promise.all([
+      session.pcm.DefineVariable({ name: 'var16', addr: 'var16', type: 'uint', size: 2 }),
+      session.pcm.DefineVariable({ name: 'var16inc', addr: 'var16inc', type: 'uint', size: 2 })
+    ]);
+  }).then(() => {
+    session.sent.length = 0;
+    return session.pcm.ReadVariables(['var16', 'nope', 'var16inc']);
+  }).then((results) => {
+    assert.deepStrictEqual(session.sent, [['ReadVariable', 'ReadVariable', 'ReadVariable']]);
+    assert.strictEqual(typeof results.var16.data, 'number');
+    assert.ok(results.nope.error instanceof PCM.ServiceError);
+    assert.strictEqual(results.var16inc.data, 1);
+  });
+});
@@ -0,0 +1,74 @@
+// Tests of the 64-bit integers of freemaster-client.js against the mock FreeMASTER service.
+//
+// Run: node --test test/
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./mock-session.js');
+
+var BASE = helpers.BASE;
+var Session = helpers.Session;
+var Start = helpers.Start;
+
+test('writes and reads the 8-byte integers as BigInt without precision loss', (t) => {
+  var pcm;
+  var big;
+
+  return Session(t).then(Start).then((session) => {
+    pcm = session.pcm;
+    big = pcm.WithOptions({ bigint: true });
+
+    return Promise.all([
+      pcm.WriteUIntVariable(BASE + 0x100, 8, 0xFEDCBA9876543211n),
+      pcm.WriteIntVariable(BASE + 0x108, 8, -9007199254740993n),
+      pcm.WriteIntArray(BASE + 0x110, 8, [-1n, 9007199254740993n, 5])
+    ]);
+  }).then((responses) => {
+    assert.strictEqual(responses[2].data, 3);
+
+    return Promise.all([
+      big.ReadUIntVariable(BASE + 0x100, 8),
+      big.ReadIntVariable(BASE + 0x108, 8),
+      big.ReadIntArray(BASE + 0x110, 3, 8),
+      big.ReadUIntArray(BASE + 0x110, 1, 8),
+      pcm.ReadMemory(BASE + 0x100, 8)
+    ]);
+  }).then((responses) => {
+    assert.strictEqual(responses[0].data, 0xFEDCBA9876543211n);
+    assert.strictEqual(responses[1].data, -9007199254740993n);
+    assert.deepStrictEqual(responses[2].data, [-1n, 9007199254740993n, 5n]);
+    assert.deepStrictEqual(responses[3].data, [0xFFFFFFFFFFFFFFFFn]);
+    /* The mock target is little endian. */
+    assert.deepStrictEqual(responses[4].data, [0x11, 0x32, 0x54, 0x76, 0x98, 0xBA, 0xDC, 0xFE]);
+
+    return pcm.variable('var64', { type: 'uint', size: 8 }).write(0x1234567890ABCDEFn);
+  }).then((value) => {
+    assert.strictEqual(value, 0x1234567890ABCDEFn);
+  });
+});
+
+test('takes the byte order from the F1 parameter without the board information', (t) => {
+  var session;
+
+  return Session(t).then(Start).then((started) => {
+    session = started;
+    /* GetDetectedBoardInfo is deprecated since protocol version 4.0, F1 flags a big endian target. */
+    session.pcm.use((ctx, next) => {
+      if (ctx.method === 'GetDetectedBoardInfo') {
+        return { success: false, error: { code: 4, msg: 'Unknown method' } };
+      }
+      return ctx.method === 'GetConfigParamU8' ? { success: true, data: 1 } : next();
+    });
+
+    return session.pcm.WriteUIntVariable(BASE + 0x100, 8, 0x0102030405060708n);
+  }).then(() => {
+    return session.pcm.ReadMemory(BASE + 0x100, 8);
+  }).then((response) => {
+    assert.deepStrictEqual(response.data, [1, 2, 3, 4, 5, 6, 7, 8]);
+    return session.pcm.WithOptions({ bigint: true }).ReadUIntVariable(BASE + 0x100, 8);
+  }).then((response) => {
+    assert.strictEqual(response.data, 0x0102030405060708n);
+  });
+});
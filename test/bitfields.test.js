@@ -0,0 +1,69 @@
+// Tests of the bit fields of freemaster-client.js against the mock FreeMASTER service.
+//
+// Run: node --test test/
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./mock-session.js');
+
+var PCM = helpers.PCM;
+var Session = helpers.Session;
+var Start = helpers.Start;
+
+test('writes the bit fields of a register by read-modify-write', (t) => {
+  var pcm;
+  var register;
+  var mode;
+  var status;
+
+  return Session(t).then(Start).then((session) => {
+    pcm = session.pcm;
+    register = pcm.variable('varStatus', { type: 'uint', size: 2 });
+    mode = pcm.variable('mode', { addr: 'varStatus', type: 'uint', size: 2, shift: 4, mask: 0xF0 });
+    status = pcm.variable('status', { addr: 'varStatus', type: 'uint', size: 2, mask: 0x0F, flags: { ready: 0, overcurrent: 3 } });
+
+    return register.write(0xA5A5);
+  }).then(() => {
+    return Promise.all([mode.read(), status.readFlags()]);
+  }).then((values) => {
+    assert.deepStrictEqual(values, [0xA, { ready: true, overcurrent: false }]);
+    /* The read-modify-write sequences of one Variable object are chained. */
+    return Promise.all([mode.write(3), mode.write(6)]);
+  }).then(() => {
+    return status.writeFlags({ ready: false, overcurrent: true });
+  }).then(() => {
+    return register.read();
+  }).then((value) => {
+    assert.strictEqual(value, 0xA56C);
+    return assert.rejects(mode.write(16), RangeError);
+  }).then(() => {
+    /* A register changed between the write and the read back fails the verification. */
+    var off = pcm.use((ctx, next) => (ctx.method === 'WriteVariable' ? { success: true } : next()));
+
+    return assert.rejects(mode.write(7), /read back 6 instead of 7/).finally(off);
+  });
+});
+
+test('rejects the flags of a variable without a bit field or out of the 32 bits', (t) => {
+  return Session(t).then(Start).then((session) => {
+    var pcm = session.pcm;
+    var plain = pcm.variable('var16', { type: 'uint', size: 2 });
+    var wide = pcm.variable('wide', { addr: 'var32', type: 'uint', size: 4, flags: { low: 0, beyond: 32 } });
+    var fraction = pcm.variable('fraction', { addr: 'var32', type: 'uint', size: 4, flags: { half: 1.5 } });
+
+    session.sent.length = 0;
+
+    return Promise.all([
+      assert.rejects(plain.readFlags(), (error) => error instanceof PCM.PCMError && /has no bit field/.test(error.message)),
+      assert.rejects(plain.writeFlags({ ready: true }), /has no bit field/),
+      assert.rejects(wide.readFlags(), RangeError),
+      assert.rejects(wide.writeFlags({ low: true }), /Bit 32 of flag beyond/),
+      assert.rejects(fraction.readFlags(), RangeError)
+    ]).then(() => {
+      /* Nothing but the definitions is sent. */
+      assert.deepStrictEqual(session.sent.filter((methods) => !/Define|GetVariableInfo/.test(methods[0])), []);
+    });
+  });
+});
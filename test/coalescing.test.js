@@ -0,0 +1,31 @@
+// Tests of the read coalescing of freemaster-client.js against the mock FreeMASTER service.
+//
+// Run: node --test test/
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./mock-session.js');
+
+var Session = helpers.Session;
+var Start = helpers.Start;
+
+test('coalesces concurrent reads into one batch with a response copy per caller', (t) => {
+  var session;
+
+  return Session(t, { coalesce: true }).then(Start).then((started) => {
+    session = started;
+    session.sent.length = 0;
+
+    return Promise.all([
+      session.pcm.ReadUIntVariable('var16inc', 2),
+      session.pcm.ReadUIntVariable('var16inc', 2),
+      session.pcm.ReadUIntVariable('var32inc', 4)
+    ]);
+  }).then((responses) => {
+    assert.deepStrictEqual(session.sent, [['ReadUIntVariable', 'ReadUIntVariable']]);
+    assert.deepStrictEqual(responses.map((response) => response.data), [1, 1, 100]);
+    assert.notStrictEqual(responses[0], responses[1]);
+  });
+});
@@ -0,0 +1,45 @@
+// Tests of PCM.connect and the dispose lifecycle of freemaster-client.js against the mock FreeMASTER service.
+//
+// Run: node --test test/
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./mock-session.js');
+
+var PCM = helpers.PCM;
+var Session = helpers.Session;
+
+test('rejects PCM.connect with TimeoutError when the connection is not opened in time', () => {
+  var closed = 0;
+  var transport = () => ({
+    readyState: 0,
+    send: () => {},
+    close: () => {
+      closed++;
+    }
+  });
+
+  return assert.rejects(PCM.connect('mock', { transport: transport, connectTimeout: 20, reconnect: false }), (error) => {
+    assert.ok(error instanceof PCM.TimeoutError);
+    assert.strictEqual(error.method, 'connect');
+    assert.strictEqual(closed, 1);
+    return true;
+  });
+});
+
+test('rejects the pending and later calls once disposed', (t) => {
+  return Session(t).then((session) => {
+    var pending;
+
+    session.mock.inject('GetAppVersion', { type: 'timeout' });
+    pending = session.pcm.GetAppVersion();
+    session.pcm.dispose();
+    /* A second dispose does nothing. */
+    session.pcm.dispose();
+
+    return assert.rejects(pending, (error) => error instanceof PCM.TransportError && /was disposed/.test(error.message))
+      .then(() => assert.rejects(session.pcm.GetAppVersion(), /was disposed/));
+  });
+});
@@ -0,0 +1,67 @@
+// Tests of the Enum* iterators of freemaster-client.js against the mock FreeMASTER service.
+//
+// Run: node --test test/
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./mock-session.js');
+
+var PCM = helpers.PCM;
+var BASE = helpers.BASE;
+var Session = helpers.Session;
+var Start = helpers.Start;
+
+test('enumerates and caches the symbols until they change', (t) => {
+  var session;
+
+  return Session(t).then(Start).then((started) => {
+    session = started;
+    return session.pcm.listSymbols({ concurrency: 4 });
+  }).then((symbols) => {
+    assert.strictEqual(symbols.length, 13);
+    assert.deepStrictEqual(symbols.slice(0, 3), ['var8', 'var16', 'var32']);
+
+    session.sent.length = 0;
+    return session.pcm.listSymbols();
+  }).then((symbols) => {
+    assert.strictEqual(symbols.length, 13);
+    assert.deepStrictEqual(session.sent, []);
+
+    session.pcm.EnableExtraFeatures(true);
+    return session.pcm.DefineSymbol('extra', String(BASE + 0x200), '', '4');
+  }).then(() => {
+    return session.pcm.listSymbols();
+  }).then((symbols) => {
+    assert.strictEqual(symbols[symbols.length - 1], 'extra');
+
+    session.mock.inject('EnumVariables', { type: 'error' });
+    return assert.rejects(session.pcm.listVariables(), (error) => error instanceof PCM.ServiceError && error.code === 99);
+  }).then(() => {
+    return session.pcm.listVariables();
+  }).then((variables) => {
+    assert.deepStrictEqual(variables, []);
+  });
+});
+
+test('ends the lists at the errors accepted by the isEnd option', (t) => {
+  var session;
+
+  return Session(t).then((started) => {
+    session = started;
+    /* A service ending the list of the communication ports by another error code. */
+    session.pcm.use((ctx, next) => {
+      if (ctx.method === 'EnumCommPorts' && ctx.params[0] > 0) {
+        return { success: false, error: { code: 42, msg: 'No more ports' } };
+      }
+      return next();
+    });
+
+    return assert.rejects(session.pcm.listCommPorts(), (error) => error instanceof PCM.ServiceError && error.code === 42);
+  }).then(() => {
+    return session.pcm.listCommPorts({ isEnd: (error) => error instanceof PCM.ServiceError && error.code === 42 });
+  }).then((ports) => {
+    assert.deepStrictEqual(ports, ['Mock']);
+  });
+});
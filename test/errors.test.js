@@ -0,0 +1,23 @@
+// Tests of the error classes of freemaster-client.js against the mock FreeMASTER service.
+//
+// Run: node --test test/
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./mock-session.js');
+
+var PCM = helpers.PCM;
+var Session = helpers.Session;
+
+test('rejects the service errors with ServiceError', (t) => {
+  return Session(t).then((session) => {
+    return assert.rejects(session.pcm.ReadVariable('var16'), (error) => {
+      assert.ok(error instanceof PCM.ServiceError);
+      assert.strictEqual(error.code, 1);
+      assert.deepStrictEqual(error.args, ['var16']);
+      return true;
+    });
+  });
+});
@@ -0,0 +1,77 @@
+// Tests of the event listeners of freemaster-client.js, the events are sent by an in-process fake service.
+//
+// Run: node --test test/
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./mock-session.js');
+
+var PCM = helpers.PCM;
+var sleep = helpers.sleep;
+
+test('calls the listeners matching their filters until removed', () => {
+  var server;
+  var calls = [];
+  var transport = PCM.LoopbackTransport((peer) => {
+    server = peer;
+  });
+
+  /* Sends the VariableChanged events and waits for their delivery. */
+  function Send(events) {
+    events.forEach((params) => server.send(JSON.stringify({ jsonrpc: '2.0', method: 'OnVariableChanged', params: params })));
+    return sleep(20);
+  }
+
+  return PCM.connect('mock', { transport: transport, onSocketOpen: () => {}, onSocketClose: () => {} }).then((pcm) => {
+    var overLimit = (name) => calls.push('over ' + name);
+
+    pcm.EnableExtraFeatures(true);
+    pcm.OnVariableChanged = null;
+
+    pcm.on('VariableChanged', (name, id, value) => calls.push('any ' + name + '=' + value));
+    pcm.on('VariableChanged', { name: 'var16' }, (name, id, value) => calls.push('var16=' + value));
+    pcm.on('VariableChanged', (name, id, value) => value > 100, overLimit);
+    pcm.once('VariableChanged', { id: 2 }, (name) => calls.push('once ' + name));
+
+    return Send([['var16', 1, 5], ['var32', 2, 200], ['var16', 1, 300]]).then(() => {
+      assert.deepStrictEqual(calls, [
+        'any var16=5', 'var16=5',
+        'any var32=200', 'over var32', 'once var32',
+        'any var16=300', 'var16=300', 'over var16'
+      ]);
+
+      calls.length = 0;
+      pcm.off('VariableChanged', overLimit);
+      return Send([['var32', 2, 500]]);
+    }).then(() => {
+      assert.deepStrictEqual(calls, ['any var32=500']);
+
+      calls.length = 0;
+      pcm.off('VariableChanged');
+      return Send([['var16', 1, 500]]);
+    }).then(() => {
+      assert.deepStrictEqual(calls, []);
+    }).finally(() => pcm.dispose());
+  });
+});
+
+test('removes a listener by the function returned from on and once', () => {
+  var mock = new helpers.MockServer();
+  var pcm = new PCM('mock', null, () => {}, () => {}, { transport: PCM.LoopbackTransport(mock.connect) });
+  var opened = [];
+  var offOn = pcm.on('SocketOpen', () => opened.push('on'));
+  var offOnce = pcm.once('SocketOpen', () => opened.push('once'));
+
+  pcm.on('SocketOpen', () => opened.push('kept'));
+  offOn();
+  offOnce();
+
+  return sleep(20).then(() => {
+    assert.deepStrictEqual(opened, ['kept']);
+  }).finally(() => {
+    pcm.dispose();
+    return mock.close();
+  });
+});
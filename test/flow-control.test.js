@@ -0,0 +1,64 @@
+// Tests of the flow control of freemaster-client.js against the mock FreeMASTER service.
+//
+// Run: node --test test/
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./mock-session.js');
+
+var sleep = helpers.sleep;
+var Session = helpers.Session;
+var Start = helpers.Start;
+
+test('keeps at most maxInFlight requests in flight', (t) => {
+  return Session(t, { maxInFlight: 2 }).then(Start).then((session) => {
+    var pcm = session.pcm;
+    var reads;
+
+    session.mock.inject('*', { type: 'delay', ms: 20, times: Infinity });
+    reads = [1, 2, 3, 4, 5].map(() => pcm.ReadUIntVariable('var16', 2));
+
+    return sleep(5).then(() => {
+      assert.strictEqual(pcm.pending().length, 2);
+      assert.strictEqual(pcm.queueDepth(), 3);
+      return Promise.all(reads);
+    }).then((responses) => {
+      assert.strictEqual(responses.length, 5);
+      assert.strictEqual(pcm.queueDepth(), 0);
+    });
+  });
+});
+
+test('sends the writes before the reads and a batch of reads as a read', (t) => {
+  var session;
+
+  return Session(t, { maxInFlight: 1 }).then(Start).then((started) => {
+    session = started;
+    return session.pcm.DefineVariable({ name: 'var16', addr: 'var16', type: 'uint', size: 2 });
+  }).then(() => {
+    var pcm = session.pcm;
+
+    session.sent.length = 0;
+    session.mock.inject('GetAppVersion', { type: 'delay', ms: 20 });
+
+    return Promise.all([
+      pcm.GetAppVersion(),
+      pcm.ReadUIntVariable('var16', 2),
+      pcm.ReadVariables(['var16', 'var16']),
+      pcm.WriteVariable('var16', 5),
+      pcm.WithOptions({ priority: 'low' }).ReadUIntVariable('var16inc', 2),
+      pcm.WithOptions({ priority: 'low' }).ReadVariables(['var16'])
+    ]);
+  }).then(() => {
+    assert.deepStrictEqual(session.sent, [
+      ['GetAppVersion'],
+      ['WriteVariable'],
+      ['ReadUIntVariable'],
+      ['ReadVariable', 'ReadVariable'],
+      ['ReadUIntVariable'],
+      ['ReadVariable']
+    ]);
+  });
+});
@@ -0,0 +1,70 @@
+// Tests of the fixed-point conversions of freemaster-client.js, the array transfers against the mock FreeMASTER service.
+//
+// Run: node --test test/
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./mock-session.js');
+
+var PCM = helpers.PCM;
+var Session = helpers.Session;
+var Start = helpers.Start;
+
+var Q15 = { type: 'fract', size: 2 };
+
+test('rounds the fractional values by the rounding option', () => {
+  assert.strictEqual(PCM.FloatToFract(0.5, Q15), 16384);
+  assert.strictEqual(PCM.FloatToFract(0.1, Q15), 3277);
+  assert.strictEqual(PCM.FloatToFract(0.1, Q15, { rounding: 'floor' }), 3276);
+  assert.strictEqual(PCM.FloatToFract(0.1, Q15, { rounding: 'ceil' }), 3277);
+  assert.strictEqual(PCM.FloatToFract(-0.1, Q15, { rounding: 'floor' }), -3277);
+  assert.strictEqual(PCM.FloatToFract(-0.1, Q15, { rounding: 'trunc' }), -3276);
+  assert.strictEqual(PCM.FloatToFract(2.5, { type: 'fract', size: 2, q_m: 3 }), 10240);
+  assert.strictEqual(PCM.FloatToFract(0.5, { type: 'ufract', size: 1 }), 128);
+  assert.throws(() => PCM.FloatToFract(0.5, Q15, { rounding: 'half-even' }), /Unknown rounding/);
+
+  assert.strictEqual(PCM.FractToFloat(16384, Q15), 0.5);
+  assert.strictEqual(PCM.FractToFloat(-32768, Q15), -1);
+  assert.strictEqual(PCM.FractToFloat(10240, { type: 'fract', size: 2, q_n: 12 }), 2.5);
+});
+
+test('saturates the values out of range unless disabled', () => {
+  assert.strictEqual(PCM.FloatToFract(1.0, Q15), 32767);
+  assert.strictEqual(PCM.FloatToFract(-1.0, Q15), -32768);
+  assert.strictEqual(PCM.FloatToFract(-2, Q15), -32768);
+  assert.strictEqual(PCM.FloatToFract(-0.1, { type: 'ufract', size: 1 }), 0);
+  assert.strictEqual(PCM.FloatToFract(1.0, { type: 'ufract', size: 1 }), 255);
+  assert.throws(() => PCM.FloatToFract(1.0, Q15, { saturate: false }), RangeError);
+  assert.throws(() => PCM.FloatToFract(-0.1, { type: 'ufract', size: 1 }, { saturate: false }), /unsigned Q0.8/);
+});
+
+test('rejects the values without a fractional value', () => {
+  [NaN, Infinity, -Infinity, undefined].forEach((value) => {
+    assert.throws(() => PCM.FloatToFract(value, Q15), RangeError);
+  });
+});
+
+test('writes and reads the fractional arrays of plain and typed arrays', (t) => {
+  var session;
+
+  return Session(t).then(Start).then((started) => {
+    session = started;
+    return session.pcm.WriteFractArray('arr16', Float32Array.of(0.5, -0.25, 1.0), Q15);
+  }).then(() => {
+    return session.pcm.ReadIntArray('arr16', 3, 2);
+  }).then((response) => {
+    assert.deepStrictEqual(response.data, [16384, -8192, 32767]);
+    return session.pcm.WriteFractArray('arr16', [0.125, 0.75], Q15);
+  }).then(() => {
+    return session.pcm.ReadFractArray('arr16', 3, Q15);
+  }).then((response) => {
+    assert.deepStrictEqual(response.data, [0.125, 0.75, 32767 / 32768]);
+
+    session.sent.length = 0;
+    return assert.rejects(session.pcm.WriteFractArray('arr16', [0.5, NaN], Q15), RangeError);
+  }).then(() => {
+    assert.deepStrictEqual(session.sent, []);
+  });
+});
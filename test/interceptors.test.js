@@ -0,0 +1,46 @@
+// Tests of the interceptors of freemaster-client.js against the mock FreeMASTER service.
+//
+// Run: node --test test/
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./mock-session.js');
+
+var Session = helpers.Session;
+
+test('short-circuits a call without sending it and rewrites the calls passed on', (t) => {
+  var session;
+  var seen = [];
+  var off;
+
+  return Session(t).then((started) => {
+    session = started;
+    session.sent.length = 0;
+
+    off = session.pcm.use((ctx, next) => {
+      seen.push(ctx.direction + ' ' + ctx.method);
+      if (ctx.method === 'GetAppVersion') {
+        return { success: true, data: 'cached' };
+      }
+
+      ctx.method = 'GetAppVersion';
+      return next().then((response) => Object.assign({}, response, { xtra: ctx.id }));
+    });
+
+    return Promise.all([session.pcm.GetAppVersion(), session.pcm.IsCommPortOpen()]);
+  }).then((responses) => {
+    assert.deepStrictEqual(responses[0], { success: true, data: 'cached' });
+    assert.strictEqual(responses[1].data, '3.0.0 (mock)');
+    assert.strictEqual(typeof responses[1].xtra, 'number');
+    assert.deepStrictEqual(seen, ['out GetAppVersion', 'out IsCommPortOpen']);
+    assert.deepStrictEqual(session.sent, [['GetAppVersion']]);
+
+    off();
+    return session.pcm.GetAppVersion();
+  }).then((response) => {
+    assert.strictEqual(response.data, '3.0.0 (mock)');
+    assert.strictEqual(seen.length, 2);
+  });
+});
@@ -0,0 +1,354 @@
+// Drives simple-jsonrpc-js through the examples of the JSON-RPC 2.0 specification
+// (https://www.jsonrpc.org/specification#examples) and asserts the exact replies.
+//
+// Run: node --test test/
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var simple_jsonrpc = require('../assets/js/simple-jsonrpc-js.js');
+
+var PARSE_ERROR = {
+    "code": -32700,
+    "message": "Invalid JSON was received by the server. An error occurred on the server while parsing the JSON text."
+};
+var INVALID_REQUEST = {
+    "code": -32600,
+    "message": "Invalid Request. The JSON sent is not a valid Request object."
+};
+var METHOD_NOT_FOUND = {
+    "code": -32601,
+    "message": "Method not found. The method does not exist / is not available."
+};
+
+// A peer whose outgoing messages are collected, parsed, in sent.
+function Peer() {
+    var jrpc = new simple_jsonrpc();
+    var sent = [];
+
+    jrpc.toStream = function (message) {
+        sent.push(JSON.parse(message));
+    };
+
+    return { jrpc: jrpc, sent: sent };
+}
+
+// A server dispatching the methods used by the examples of the specification.
+function Server() {
+    var peer = Peer();
+    var updates = [];
+
+    peer.jrpc.dispatch('subtract', ['minuend', 'subtrahend'], function (minuend, subtrahend) {
+        return minuend - subtrahend;
+    });
+    peer.jrpc.dispatch('sum', 'pass', function (params) {
+        return params.reduce(function (sum, value) {
+            return sum + value;
+        }, 0);
+    });
+    peer.jrpc.dispatch('update', 'pass', function (params) {
+        updates.push(params);
+    });
+    peer.jrpc.dispatch('notify_hello', 'pass', function () {
+    });
+    peer.jrpc.dispatch('get_data', function () {
+        return ['hello', 5];
+    });
+    peer.jrpc.dispatch('nothing', function () {
+        return null;
+    });
+
+    peer.updates = updates;
+    return peer;
+}
+
+// Feeds a raw message to the server and resolves to the single reply, or undefined when there is none.
+function exchange(server, raw) {
+    var count = server.sent.length;
+
+    return server.jrpc.messageHandler(raw)
+        .catch(function () {
+        })
+        .then(function () {
+            assert.ok(server.sent.length - count <= 1, 'at most one reply per message');
+            return server.sent[count];
+        });
+}
+
+// Lets the interceptor chain of an outgoing call run so the request reaches toStream.
+function tick() {
+    return new Promise(function (resolve) {
+        setImmediate(resolve);
+    });
+}
+
+test('rpc call with positional parameters', function () {
+    var server = Server();
+    return exchange(server, '{"jsonrpc": "2.0", "method": "subtract", "params": [42, 23], "id": 1}')
+        .then(function (reply) {
+            assert.deepStrictEqual(reply, { "jsonrpc": "2.0", "result": 19, "id": 1 });
+            return exchange(server, '{"jsonrpc": "2.0", "method": "subtract", "params": [23, 42], "id": 2}');
+        })
+        .then(function (reply) {
+            assert.deepStrictEqual(reply, { "jsonrpc": "2.0", "result": -19, "id": 2 });
+        });
+});
+
+test('rpc call with named parameters', function () {
+    var server = Server();
+    return exchange(server, '{"jsonrpc": "2.0", "method": "subtract", "params": {"subtrahend": 23, "minuend": 42}, "id": 3}')
+        .then(function (reply) {
+            assert.deepStrictEqual(reply, { "jsonrpc": "2.0", "result": 19, "id": 3 });
+            return exchange(server, '{"jsonrpc": "2.0", "method": "subtract", "params": {"minuend": 42, "subtrahend": 23}, "id": 4}');
+        })
+        .then(function (reply) {
+            assert.deepStrictEqual(reply, { "jsonrpc": "2.0", "result": 19, "id": 4 });
+        });
+});
+
+test('a notification is never answered', function () {
+    var server = Server();
+    return exchange(server, '{"jsonrpc": "2.0", "method": "update", "params": [1, 2, 3, 4, 5]}')
+        .then(function (reply) {
+            assert.strictEqual(reply, undefined);
+            assert.deepStrictEqual(server.updates, [[1, 2, 3, 4, 5]]);
+            return exchange(server, '{"jsonrpc": "2.0", "method": "foobar"}');
+        })
+        .then(function (reply) {
+            assert.strictEqual(reply, undefined);
+        });
+});
+
+test('rpc call of a non-existent method', function () {
+    return exchange(Server(), '{"jsonrpc": "2.0", "method": "foobar", "id": "1"}')
+        .then(function (reply) {
+            assert.deepStrictEqual(reply, {
+                "jsonrpc": "2.0",
+                "error": { "code": METHOD_NOT_FOUND.code, "message": METHOD_NOT_FOUND.message, "data": "foobar" },
+                "id": "1"
+            });
+        });
+});
+
+test('rpc call with invalid JSON', function () {
+    var server = Server();
+    var handled = server.jrpc.messageHandler('{"jsonrpc": "2.0", "method": "foobar, "params": "bar", "baz]');
+
+    assert.deepStrictEqual(server.sent, [{ "jsonrpc": "2.0", "error": PARSE_ERROR, "id": null }]);
+    return assert.rejects(handled, SyntaxError);
+});
+
+test('rpc call with an invalid Request object', function () {
+    return exchange(Server(), '{"jsonrpc": "2.0", "method": 1, "params": "bar"}')
+        .then(function (reply) {
+            assert.deepStrictEqual(reply, { "jsonrpc": "2.0", "error": INVALID_REQUEST, "id": null });
+        });
+});
+
+test('rpc call batch with invalid JSON', function () {
+    return exchange(Server(), '[\n' +
+        '  {"jsonrpc": "2.0", "method": "sum", "params": [1,2,4], "id": "1"},\n' +
+        '  {"jsonrpc": "2.0", "method"\n' +
+        ']')
+        .then(function (reply) {
+            assert.deepStrictEqual(reply, { "jsonrpc": "2.0", "error": PARSE_ERROR, "id": null });
+        });
+});
+
+test('rpc call with an empty array', function () {
+    return exchange(Server(), '[]')
+        .then(function (reply) {
+            assert.deepStrictEqual(reply, { "jsonrpc": "2.0", "error": INVALID_REQUEST, "id": null });
+        });
+});
+
+test('rpc call with an invalid batch, but not empty', function () {
+    return exchange(Server(), '[1]')
+        .then(function (reply) {
+            assert.deepStrictEqual(reply, [{ "jsonrpc": "2.0", "error": INVALID_REQUEST, "id": null }]);
+        });
+});
+
+test('rpc call with an invalid batch', function () {
+    return exchange(Server(), '[1,2,3]')
+        .then(function (reply) {
+            assert.deepStrictEqual(reply, [
+                { "jsonrpc": "2.0", "error": INVALID_REQUEST, "id": null },
+                { "jsonrpc": "2.0", "error": INVALID_REQUEST, "id": null },
+                { "jsonrpc": "2.0", "error": INVALID_REQUEST, "id": null }
+            ]);
+        });
+});
+
+test('rpc call batch', function () {
+    return exchange(Server(), JSON.stringify([
+        { "jsonrpc": "2.0", "method": "sum", "params": [1, 2, 4], "id": "1" },
+        { "jsonrpc": "2.0", "method": "notify_hello", "params": [7] },
+        { "jsonrpc": "2.0", "method": "subtract", "params": [42, 23], "id": "2" },
+        { "foo": "boo" },
+        { "jsonrpc": "2.0", "method": "foo.get", "params": { "name": "myself" }, "id": "5" },
+        { "jsonrpc": "2.0", "method": "get_data", "id": "9" }
+    ]))
+        .then(function (reply) {
+            assert.deepStrictEqual(reply, [
+                { "jsonrpc": "2.0", "result": 7, "id": "1" },
+                { "jsonrpc": "2.0", "result": 19, "id": "2" },
+                { "jsonrpc": "2.0", "error": INVALID_REQUEST, "id": null },
+                {
+                    "jsonrpc": "2.0",
+                    "error": { "code": METHOD_NOT_FOUND.code, "message": METHOD_NOT_FOUND.message, "data": "foo.get" },
+                    "id": "5"
+                },
+                { "jsonrpc": "2.0", "result": ["hello", 5], "id": "9" }
+            ]);
+        });
+});
+
+test('rpc call batch of notifications only', function () {
+    var server = Server();
+    return exchange(server, JSON.stringify([
+        { "jsonrpc": "2.0", "method": "notify_sum", "params": [1, 2, 4] },
+        { "jsonrpc": "2.0", "method": "notify_hello", "params": [7] }
+    ]))
+        .then(function (reply) {
+            assert.strictEqual(reply, undefined);
+            assert.deepStrictEqual(server.sent, []);
+        });
+});
+
+test('a null result is a result', function () {
+    return exchange(Server(), '{"jsonrpc": "2.0", "method": "nothing", "id": 7}')
+        .then(function (reply) {
+            assert.deepStrictEqual(reply, { "jsonrpc": "2.0", "result": null, "id": 7 });
+        });
+});
+
+test('a null id is answered with a null id', function () {
+    return exchange(Server(), '{"jsonrpc": "2.0", "method": "get_data", "id": null}')
+        .then(function (reply) {
+            assert.deepStrictEqual(reply, { "jsonrpc": "2.0", "result": ["hello", 5], "id": null });
+        });
+});
+
+test('an invalid id makes an invalid request', function () {
+    var server = Server();
+    return exchange(server, '{"jsonrpc": "2.0", "method": "get_data", "id": {"a": 1}}')
+        .then(function (reply) {
+            assert.deepStrictEqual(reply, { "jsonrpc": "2.0", "error": INVALID_REQUEST, "id": null });
+            return exchange(server, '{"jsonrpc": "2.0", "method": "get_data", "id": [1]}');
+        })
+        .then(function (reply) {
+            assert.deepStrictEqual(reply, { "jsonrpc": "2.0", "error": INVALID_REQUEST, "id": null });
+            return exchange(server, '{"jsonrpc": "1.0", "method": "get_data", "id": 8}');
+        })
+        .then(function (reply) {
+            assert.deepStrictEqual(reply, { "jsonrpc": "2.0", "error": INVALID_REQUEST, "id": 8 });
+        });
+});
+
+test('call resolves to the result, null included, and rejects with the error', function () {
+    var client = Peer();
+    var first = client.jrpc.call('nothing');
+    var second = client.jrpc.call('foobar', [1]);
+
+    return tick()
+        .then(function () {
+            assert.strictEqual(client.sent.length, 2);
+            assert.deepStrictEqual(client.sent[0], { "jsonrpc": "2.0", "method": "nothing", "id": client.sent[0].id });
+            assert.deepStrictEqual(client.sent[1], { "jsonrpc": "2.0", "method": "foobar", "params": [1], "id": client.sent[1].id });
+
+            client.jrpc.messageHandler(JSON.stringify({ "jsonrpc": "2.0", "result": null, "id": client.sent[0].id }));
+            client.jrpc.messageHandler(JSON.stringify({ "jsonrpc": "2.0", "error": METHOD_NOT_FOUND, "id": client.sent[1].id }));
+
+            return first;
+        })
+        .then(function (result) {
+            assert.strictEqual(result, null);
+            return assert.rejects(second, function (error) {
+                assert.deepStrictEqual(error, METHOD_NOT_FOUND);
+                return true;
+            });
+        })
+        .then(function () {
+            assert.deepStrictEqual(client.jrpc.pending(), []);
+        });
+});
+
+test('a response matches only an id of the same type', function () {
+    var client = Peer();
+    var call = client.jrpc.call('get_data', [], { timeout: 50 });
+
+    return tick()
+        .then(function () {
+            var id = client.sent[0].id;
+            client.jrpc.messageHandler(JSON.stringify({ "jsonrpc": "2.0", "result": "wrong", "id": String(id) }));
+            client.jrpc.messageHandler(JSON.stringify({ "jsonrpc": "2.0", "result": "wrong", "id": null }));
+            assert.strictEqual(client.jrpc.pending().length, 1);
+
+            client.jrpc.messageHandler(JSON.stringify({ "jsonrpc": "2.0", "result": ["hello", 5], "id": id }));
+            return call;
+        })
+        .then(function (result) {
+            assert.deepStrictEqual(result, ['hello', 5]);
+        });
+});
+
+test('batch sends one array and settles every call on its own', function () {
+    var client = Peer();
+    var server = Server();
+    var batch = client.jrpc.batch([
+        { call: { method: 'sum', params: [1, 2, 4] } },
+        { notification: { method: 'notify_hello', params: [7] } },
+        { call: { method: 'subtract', params: [42, 23] } },
+        { call: { method: 'foo.get', params: { name: 'myself' } } },
+        { call: { method: 'nothing' } }
+    ]);
+
+    return tick()
+        .then(function () {
+            assert.strictEqual(client.sent.length, 1);
+            assert.ok(Array.isArray(client.sent[0]));
+            assert.deepStrictEqual(client.sent[0].map(function (message) {
+                return message.method;
+            }), ['sum', 'notify_hello', 'subtract', 'foo.get', 'nothing']);
+
+            return exchange(server, JSON.stringify(client.sent[0]));
+        })
+        .then(function (reply) {
+            assert.strictEqual(reply.length, 4);
+            // The responses of a batch may come back in any order.
+            return client.jrpc.messageHandler(JSON.stringify(reply.reverse()));
+        })
+        .then(function () {
+            return batch;
+        })
+        .then(function (results) {
+            assert.deepStrictEqual(results, [
+                { status: "fulfilled", value: 7 },
+                { status: "fulfilled", value: 19 },
+                {
+                    status: "rejected",
+                    reason: { "code": METHOD_NOT_FOUND.code, "message": METHOD_NOT_FOUND.message, "data": "foo.get" }
+                },
+                { status: "fulfilled", value: null }
+            ]);
+        });
+});
+
+test('a batch of notifications only is sent and expects no reply', function () {
+    var client = Peer();
+
+    return client.jrpc.batch([
+        { notification: { method: 'notify_sum', params: [1, 2, 4] } },
+        { notification: { method: 'notify_hello', params: [7] } }
+    ])
+        .then(function (results) {
+            assert.deepStrictEqual(results, []);
+            assert.deepStrictEqual(client.sent, [[
+                { "jsonrpc": "2.0", "method": "notify_sum", "params": [1, 2, 4] },
+                { "jsonrpc": "2.0", "method": "notify_hello", "params": [7] }
+            ]]);
+            assert.deepStrictEqual(client.jrpc.pending(), []);
+        });
+});
@@ -0,0 +1,41 @@
+// Tests of the memory images of freemaster-client.js against the mock FreeMASTER service.
+//
+// Run: node --test test/
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./mock-session.js');
+
+var BASE = helpers.BASE;
+var Session = helpers.Session;
+var Start = helpers.Start;
+
+test('exports and imports memory images', (t) => {
+  var pcm;
+  var bytes = Uint8Array.from({ length: 40 }, (_, index) => 255 - index);
+  var images;
+
+  return Session(t).then(Start).then((session) => {
+    pcm = session.pcm;
+    return pcm.writeMemoryRange(BASE + 0x100, bytes);
+  }).then(() => {
+    return Promise.all(['ihex', 'srec', 'raw'].map((format) => pcm.exportMemory(BASE + 0x100, 40, { format: format })));
+  }).then((exported) => {
+    images = exported;
+    assert.match(images[0], /^:020000042000DA\n:10010000FFFEFDFC/);
+    assert.match(images[0], /:00000001FF\n?$/);
+    assert.match(images[1], /^S0/);
+    assert.deepStrictEqual(images[2], bytes);
+
+    return images.reduce((chain, image) => chain.then(() => {
+      return pcm.writeMemoryRange(BASE + 0x100, new Uint8Array(40))
+        .then(() => pcm.importMemory(image, image instanceof Uint8Array ? { addr: BASE + 0x100 } : {}))
+        .then(() => pcm.readMemoryRange(BASE + 0x100, 40))
+        .then((read) => assert.deepStrictEqual(read, bytes));
+    }), Promise.resolve());
+  }).then(() => {
+    return assert.rejects(pcm.importMemory(images[0].replace(':10', ':11')));
+  });
+});
@@ -0,0 +1,57 @@
+// Tests of the chunked memory transfers of freemaster-client.js against the mock FreeMASTER service.
+//
+// Run: node --test test/
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./mock-session.js');
+
+var BASE = helpers.BASE;
+var Session = helpers.Session;
+var Start = helpers.Start;
+
+test('transfers memory ranges in chunks of the board buffer', (t) => {
+  var session;
+  var bytes = Uint8Array.from({ length: 100 }, (_, index) => index * 3);
+
+  return Session(t).then(Start).then((started) => {
+    session = started;
+    return session.pcm.writeMemoryRange(BASE + 0x100, bytes);
+  }).then((size) => {
+    assert.strictEqual(size, 100);
+    session.sent.length = 0;
+    return session.pcm.readMemoryRange(BASE + 0x100, 100);
+  }).then((read) => {
+    /* The mock board buffer of 60 bytes carries 44 bytes of data. */
+    assert.deepStrictEqual(session.sent, [['ReadMemory'], ['ReadMemory'], ['ReadMemory']]);
+    assert.deepStrictEqual(read, bytes);
+    return assert.rejects(session.pcm.readMemoryRange(BASE, -1), /non-negative integer/);
+  });
+});
+
+test('sizes the chunks by the MTU parameter without the board information', (t) => {
+  var session;
+  var mtu = 36;
+
+  return Session(t).then(Start).then((started) => {
+    session = started;
+    /* GetDetectedBoardInfo is deprecated since protocol version 4.0, the MTU of 36 bytes carries 20 bytes of data. */
+    session.pcm.use((ctx, next) => {
+      if (ctx.method === 'GetDetectedBoardInfo') {
+        return { success: false, error: { code: 4, msg: 'Unknown method' } };
+      }
+      return ctx.method === 'GetConfigParamULEB' && ctx.params[0] === 'MTU' ? { success: true, data: mtu } : next();
+    });
+
+    session.sent.length = 0;
+    return session.pcm.readMemoryRange(BASE + 0x100, 50);
+  }).then((read) => {
+    assert.strictEqual(read.length, 50);
+    assert.deepStrictEqual(session.sent, [['ReadMemory'], ['ReadMemory'], ['ReadMemory']]);
+
+    mtu = 8;
+    return assert.rejects(session.pcm.readMemoryRange(BASE + 0x100, 50), /set the chunkSize option/);
+  });
+});
@@ -0,0 +1,68 @@
+// Tests of the memory watcher of freemaster-client.js against the mock FreeMASTER service.
+//
+// Run: node --test test/
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./mock-session.js');
+
+var BASE = helpers.BASE;
+var sleep = helpers.sleep;
+var Session = helpers.Session;
+var Start = helpers.Start;
+
+test('reports the changed elements of the region with their old and new values', (t) => {
+  var pcm;
+  var reports = [];
+  var events = [];
+  var stop;
+
+  return Session(t).then(Start).then((session) => {
+    pcm = session.pcm;
+    pcm.on('MemoryChanged', (addr, changes) => events.push([addr, changes]));
+    stop = pcm.watchMemory(BASE + 0x100, 8, (changes, addr) => reports.push([addr, changes]), { type: 'int', elSize: 2, interval: 10 });
+
+    /* The first read takes the initial content. */
+    return sleep(40);
+  }).then(() => {
+    assert.deepStrictEqual(reports, []);
+    return pcm.WriteIntArray(BASE + 0x102, 2, [-5]).then(() => pcm.WriteIntArray(BASE + 0x106, 2, [7]));
+  }).then(() => sleep(40)).then(() => {
+    var changes = [].concat.apply([], reports.map((report) => report[1]));
+
+    assert.deepStrictEqual(changes, [{ offset: 2, old: 0, new: -5 }, { offset: 6, old: 0, new: 7 }]);
+    assert.ok(reports.every((report) => report[0] === BASE + 0x100));
+    assert.deepStrictEqual(events, reports);
+
+    stop();
+    reports.length = 0;
+    return pcm.WriteIntArray(BASE + 0x100, 2, [1]).then(() => sleep(40));
+  }).then(() => {
+    assert.deepStrictEqual(reports, []);
+  });
+});
+
+test('coalesces the changes within the window and drops the ones restored', (t) => {
+  var pcm;
+  var reports = [];
+  var errors = [];
+
+  return Session(t).then(Start).then((session) => {
+    pcm = session.pcm;
+    pcm.watchMemory(BASE + 0x100, 4, (changes) => {
+      reports.push(changes);
+      throw new Error('callback failed');
+    }, { interval: 10, coalesce: 150, onError: (error) => errors.push(error.message) });
+
+    return sleep(40);
+  }).then(() => {
+    return pcm.WriteMemory(BASE + 0x100, [1, 0, 9]);
+  }).then(() => sleep(40)).then(() => {
+    return pcm.WriteMemory(BASE + 0x100, [2, 3, 0]);
+  }).then(() => sleep(200)).then(() => {
+    assert.deepStrictEqual(reports, [[{ offset: 0, old: 0, new: 2 }, { offset: 1, old: 0, new: 3 }]]);
+    assert.deepStrictEqual(errors, ['callback failed']);
+  });
+});
@@ -0,0 +1,106 @@
+// Tests of the mock FreeMASTER service used by the client tests and for offline development.
+//
+// Run: node --test test/
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var path = require('node:path');
+var childProcess = require('node:child_process');
+var helpers = require('./mock-session.js');
+
+var PCM = helpers.PCM;
+var MockServer = helpers.MockServer;
+var Session = helpers.Session;
+var Start = helpers.Start;
+
+/* A raw peer of the mock server collecting the parsed replies. */
+function Peer(mock) {
+  var peer = {
+    replies: [],
+    closed: false,
+    send: (msg) => peer.replies.push(JSON.parse(msg)),
+    close: () => {
+      peer.closed = true;
+    }
+  };
+
+  mock.connect(peer);
+  return peer;
+}
+
+test('answers a malformed frame with the parse error and keeps serving', () => {
+  var mock = new MockServer();
+  var peer = Peer(mock);
+
+  return peer.onmessage('{bad json').then(() => {
+    assert.deepStrictEqual(peer.replies.map((reply) => [reply.id, reply.error.code]), [[null, -32700]]);
+    return peer.onmessage(JSON.stringify({ jsonrpc: '2.0', method: 'GetAppVersion', id: 1 }));
+  }).then(() => {
+    assert.deepStrictEqual(peer.replies[1], { jsonrpc: '2.0', id: 1, result: { success: true, data: '3.0.0 (mock)' } });
+  }).finally(() => mock.close());
+});
+
+test('injects service errors for the given number of requests', (t) => {
+  return Session(t).then((session) => {
+    session.mock.inject('GetAppVersion', { type: 'error', code: 42, msg: 'Bus fault', times: 2 });
+
+    return Promise.allSettled([session.pcm.GetAppVersion(), session.pcm.GetAppVersion(), session.pcm.GetAppVersion()]);
+  }).then((results) => {
+    assert.deepStrictEqual(results.map((result) => (result.reason ? result.reason.code : result.value.data)),
+      [42, 42, '3.0.0 (mock)']);
+    assert.match(results[0].reason.message, /Bus fault/);
+  });
+});
+
+test('injects delays and disconnections', (t) => {
+  var session;
+  var started;
+
+  return Session(t, { reconnect: false }).then((connected) => {
+    session = connected;
+    session.mock.inject('GetAppVersion', { type: 'delay', ms: 50 });
+    started = Date.now();
+    return session.pcm.GetAppVersion();
+  }).then((response) => {
+    assert.strictEqual(response.data, '3.0.0 (mock)');
+    assert.ok(Date.now() - started >= 45);
+
+    session.mock.inject('*', { type: 'disconnect' });
+    return assert.rejects(session.pcm.GetAppVersion(), PCM.TransportError);
+  });
+});
+
+test('fails the target services while the board is disconnected', (t) => {
+  var session;
+
+  return Session(t).then(Start).then((started) => {
+    session = started;
+    session.mock.disconnectBoard();
+    return assert.rejects(session.pcm.ReadUIntVariable('var16', 2), (error) => error.code === 2);
+  }).then(() => {
+    session.mock.connectBoard();
+    return session.pcm.ReadUIntVariable('var16inc', 2);
+  }).then((response) => {
+    assert.strictEqual(response.data, 1);
+  });
+});
+
+test('returns the symbol information in the data property only', (t) => {
+  return Session(t).then(Start).then((session) => session.pcm.GetSymbolInfo('appConfig')).then((response) => {
+    assert.deepStrictEqual(response, {
+      success: true,
+      data: { name: 'appConfig', addr: helpers.BASE + 0x50, size: 16, type: 'config_t' }
+    });
+  });
+});
+
+test('does not keep the process running by its simulation timers', () => {
+  var script = 'var MockServer = require(' + JSON.stringify(path.join(__dirname, '../tools/freemaster-mock-server.js')) + ');' +
+    'new MockServer();';
+  var result = childProcess.spawnSync(process.execPath, ['-e', script], { timeout: 10000 });
+
+  assert.strictEqual(result.signal, null);
+  assert.strictEqual(result.status, 0);
+});
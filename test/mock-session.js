@@ -0,0 +1,61 @@
+// Helpers of the client tests: a PCM instance connected in-process to a new mock FreeMASTER service by
+// PCM.LoopbackTransport.
+
+'use strict';
+
+var PCM = require('../assets/js/freemaster-client.js');
+var MockServer = require('../tools/freemaster-mock-server.js');
+
+/* Base address of the mock target memory. */
+var BASE = 0x20000000;
+
+var sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/*
+ * Connects a PCM instance to a new mock server, both closed after the test. The methods of every frame sent by the
+ * client are recorded in sent, a batch is one frame.
+ */
+function Session(t, options) {
+  var mock = new MockServer((options || {}).mock);
+  var sent = [];
+  var transport = (url) => {
+    var socket = PCM.LoopbackTransport(mock.connect)(url);
+    var send = socket.send.bind(socket);
+
+    socket.send = (message) => {
+      sent.push([].concat(JSON.parse(message)).map((request) => request.method));
+      send(message);
+    };
+    return socket;
+  };
+
+  options = Object.assign({ onSocketOpen: () => {}, onSocketClose: () => {}, transport: transport }, options);
+  delete options.mock;
+
+  return PCM.connect('mock', options).then((pcm) => {
+    pcm.OnServerError = null;
+    pcm.OnReconnecting = null;
+    pcm.OnReconnected = null;
+
+    t.after(() => {
+      pcm.dispose();
+      return mock.close();
+    });
+
+    return { mock: mock, pcm: pcm, sent: sent };
+  });
+}
+
+/* Opens the mock port and loads the symbols. */
+function Start(session) {
+  return session.pcm.StartComm('Mock').then(() => session.pcm.ReadTSA()).then(() => session);
+}
+
+module.exports = {
+  PCM: PCM,
+  MockServer: MockServer,
+  BASE: BASE,
+  sleep: sleep,
+  Session: Session,
+  Start: Start
+};
@@ -0,0 +1,27 @@
+// Tests of the request queue of freemaster-client.js against the mock FreeMASTER service.
+//
+// Run: node --test test/
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./mock-session.js');
+
+var PCM = helpers.PCM;
+var MockServer = helpers.MockServer;
+
+test('limits the requests queued until the connection is open', () => {
+  var mock = new MockServer();
+  var pcm = new PCM('mock', null, () => {}, () => {}, { queueSize: 2, transport: PCM.LoopbackTransport(mock.connect) });
+
+  pcm.OnServerError = null;
+
+  return Promise.allSettled([pcm.GetAppVersion(), pcm.GetAppVersion(), pcm.GetAppVersion()]).then((results) => {
+    assert.deepStrictEqual(results.map((result) => result.status), ['fulfilled', 'fulfilled', 'rejected']);
+    assert.match(results[2].reason.message, /queue is full/);
+  }).finally(() => {
+    pcm.dispose();
+    return mock.close();
+  });
+});
@@ -0,0 +1,38 @@
+// Tests of the reconnection and the session replay of freemaster-client.js against the mock FreeMASTER service.
+//
+// Run: node --test test/
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./mock-session.js');
+
+var PCM = helpers.PCM;
+var Session = helpers.Session;
+var Start = helpers.Start;
+
+test('replays the session after the connection is restored', (t) => {
+  var session;
+  var reconnected;
+
+  return Session(t, { reconnect: { delay: 10 } }).then(Start).then((started) => {
+    session = started;
+    reconnected = new Promise((resolve) => session.pcm.once('Reconnected', (event, failures) => resolve(failures)));
+
+    return session.pcm.DefineVariable({ name: 'var16', addr: 'var16', type: 'uint', size: 2 });
+  }).then(() => {
+    session.mock.inject('ReadVariable', { type: 'disconnect' });
+    return assert.rejects(session.pcm.ReadVariable('var16'), PCM.TransportError);
+  }).then(() => {
+    session.sent.length = 0;
+    return reconnected;
+  }).then((failures) => {
+    assert.deepStrictEqual(failures, []);
+    assert.deepStrictEqual(session.sent, [['StartComm'], ['ReadTSA'], ['DefineVariable']]);
+    return session.pcm.ReadVariable('var16');
+  }).then((response) => {
+    assert.strictEqual(response.success, true);
+    assert.strictEqual(typeof response.data, 'number');
+  });
+});
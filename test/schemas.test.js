@@ -0,0 +1,61 @@
+// Tests of the parameter validation of freemaster-client.js against the mock FreeMASTER service.
+//
+// Run: node --test test/
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./mock-session.js');
+
+var PCM = helpers.PCM;
+var sleep = helpers.sleep;
+var Session = helpers.Session;
+
+test('rejects the calls with invalid params before sending them', (t) => {
+  return Session(t).then((session) => {
+    session.sent.length = 0;
+
+    return Promise.all([
+      assert.rejects(session.pcm.ReadUIntVariable('var16', 'two'), (error) => {
+        assert.ok(error instanceof PCM.ProtocolError);
+        assert.strictEqual(error.code, -32602);
+        assert.strictEqual(error.method, 'ReadUIntVariable');
+        assert.match(error.message, /size/);
+        return true;
+      }),
+      assert.rejects(session.pcm.WriteUIntVariable(), (error) => error instanceof PCM.ProtocolError && error.code === -32602)
+    ]).then(() => {
+      assert.deepStrictEqual(session.sent, []);
+    });
+  });
+});
+
+test('reports the malformed events as server errors and passes the extra params on', () => {
+  var server;
+  var changes = [];
+  var errors = [];
+  var transport = PCM.LoopbackTransport((peer) => {
+    server = peer;
+  });
+
+  return PCM.connect('mock', { transport: transport, onSocketOpen: () => {}, onSocketClose: () => {} }).then((pcm) => {
+    pcm.EnableExtraFeatures(true);
+    pcm.OnVariableChanged = null;
+    pcm.OnServerError = null;
+    pcm.on('VariableChanged', (name, id, value, extra) => changes.push([name, id, value, extra]));
+    pcm.on('ServerError', (error) => errors.push(error));
+
+    server.send(JSON.stringify({ jsonrpc: '2.0', method: 'OnVariableChanged', params: ['var16', 1, 5, 'extra'] }));
+    server.send(JSON.stringify({ jsonrpc: '2.0', method: 'OnVariableChanged', params: [16, 1, 5] }));
+
+    return sleep(20).then(() => {
+      assert.deepStrictEqual(changes, [['var16', 1, 5, 'extra']]);
+      assert.strictEqual(errors.length, 1);
+      assert.ok(errors[0] instanceof PCM.ProtocolError);
+      assert.strictEqual(errors[0].code, -32602);
+      assert.strictEqual(errors[0].method, 'OnVariableChanged');
+      assert.deepStrictEqual(errors[0].args, [16, 1, 5]);
+    }).finally(() => pcm.dispose());
+  });
+});
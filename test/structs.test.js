@@ -0,0 +1,45 @@
+// Tests of the structures of freemaster-client.js against the mock FreeMASTER service.
+//
+// Run: node --test test/
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./mock-session.js');
+
+var PCM = helpers.PCM;
+var BASE = helpers.BASE;
+var Session = helpers.Session;
+var Start = helpers.Start;
+
+test('reads and writes structures by their layout', (t) => {
+  var pcm;
+  var layout = {
+    members: { gain: 'float', offset: 'int', flags: 'uint', limits: { type: 'limits_t', members: { min: 'float', max: 'float' } } }
+  };
+
+  return Session(t).then(Start).then((session) => {
+    pcm = session.pcm;
+    return assert.rejects(pcm.readStruct('appConfig', layout), /extra features/);
+  }).then(() => {
+    pcm.EnableExtraFeatures(true);
+    return pcm.readStruct('appConfig', layout);
+  }).then((config) => {
+    assert.deepStrictEqual(config, { gain: 1.5, offset: -10, flags: 0, limits: { min: -2.5, max: 2.5 } });
+    return pcm.writeStruct('appConfig', { gain: 0.5, limits: { max: 7 } }, layout);
+  }).then((written) => {
+    assert.deepStrictEqual(written, ['gain', 'limits.max']);
+    return pcm.readStruct(BASE + 0x50, Object.assign({ type: 'config_t' }, layout));
+  }).then((config) => {
+    assert.deepStrictEqual(config, { gain: 0.5, offset: -10, flags: 0, limits: { min: -2.5, max: 7 } });
+    return assert.rejects(pcm.readStruct(BASE + 0x50, layout), /type of the structure is unknown/);
+  }).then(() => {
+    /* The member types are not resolved from the symbol metadata. */
+    return Promise.all([
+      assert.rejects(pcm.readStruct(BASE + 0x50), (error) => error instanceof PCM.PCMError && /layout/.test(error.message)),
+      assert.rejects(pcm.readStruct('appConfig', { type: 'config_t' }), /layout with the members/),
+      assert.rejects(pcm.writeStruct('appConfig', { gain: 1 }), /layout with the members/)
+    ]);
+  });
+});
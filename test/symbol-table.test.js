@@ -0,0 +1,48 @@
+// Tests of the symbol table of freemaster-client.js against the mock FreeMASTER service.
+//
+// Run: node --test test/
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./mock-session.js');
+
+var BASE = helpers.BASE;
+var Session = helpers.Session;
+var Start = helpers.Start;
+
+test('builds the symbol table from the symbol data', (t) => {
+  return Session(t).then(Start).then((session) => {
+    session.mock.inject('GetSymbolInfo', { type: 'error' });
+    return session.pcm.symbolTable();
+  }).then((table) => {
+    assert.strictEqual(table.size, 12);
+    assert.deepStrictEqual(table.failures.map((failure) => failure.name), ['var8']);
+    assert.deepStrictEqual(table.get('var16'), { name: 'var16', addr: BASE + 2, size: 2, type: 'uint16' });
+    assert.deepStrictEqual(table.at(BASE + 0x33), { symbol: table.get('arr16'), offset: 3 });
+  });
+});
+
+test('requests the symbol information in batches of bounded size', (t) => {
+  var session;
+
+  return Session(t).then(Start).then((started) => {
+    session = started;
+    return session.pcm.symbolTable({ batchSize: 5 });
+  }).then((table) => {
+    assert.strictEqual(table.size, 13);
+    assert.deepStrictEqual(session.sent.filter((methods) => methods[0] === 'GetSymbolInfo').map((methods) => methods.length),
+      [5, 5, 3]);
+
+    session.sent.length = 0;
+    return session.pcm.symbolTable();
+  }).then(() => {
+    assert.deepStrictEqual(session.sent, []);
+    return session.pcm.symbolTable(true);
+  }).then((table) => {
+    assert.strictEqual(table.size, 13);
+    assert.deepStrictEqual(session.sent.filter((methods) => methods[0] === 'GetSymbolInfo').map((methods) => methods.length),
+      [13]);
+  });
+});
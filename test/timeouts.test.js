@@ -0,0 +1,26 @@
+// Tests of the request timeouts of freemaster-client.js against the mock FreeMASTER service.
+//
+// Run: node --test test/
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./mock-session.js');
+
+var PCM = helpers.PCM;
+var Session = helpers.Session;
+
+test('rejects an unanswered request with TimeoutError and goes on', (t) => {
+  return Session(t).then((session) => {
+    session.mock.inject('GetAppVersion', { type: 'timeout' });
+
+    return assert.rejects(session.pcm.WithTimeout(50).GetAppVersion(), (error) => {
+      assert.ok(error instanceof PCM.TimeoutError);
+      assert.strictEqual(error.method, 'GetAppVersion');
+      return true;
+    }).then(() => session.pcm.GetAppVersion());
+  }).then((response) => {
+    assert.strictEqual(response.data, '3.0.0 (mock)');
+  });
+});
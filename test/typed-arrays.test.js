@@ -0,0 +1,66 @@
+// Tests of the TypedArray reads and writes of freemaster-client.js against the mock FreeMASTER service.
+//
+// Run: node --test test/
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./mock-session.js');
+
+var BASE = helpers.BASE;
+var Session = helpers.Session;
+var Start = helpers.Start;
+
+test('returns the arrays read as TypedArrays of the element type when requested', (t) => {
+  var pcm;
+
+  return Session(t).then(Start).then((session) => {
+    pcm = session.pcm;
+
+    return Promise.all([
+      pcm.WriteIntArray(BASE + 0x100, 2, Int16Array.of(-1, 0, 1)),
+      pcm.WriteIntArray(BASE + 0x108, 2, Uint16Array.of(0xFFFF, 2)),
+      pcm.WriteFloatArray(BASE + 0x110, Float32Array.of(1.5, -2.25)),
+      pcm.WriteDoubleArray(BASE + 0x118, Float64Array.of(0.1)),
+      pcm.WriteUIntArray(BASE + 0x120, 8, BigUint64Array.of(0xFFFFFFFFFFFFFFFFn))
+    ]);
+  }).then(() => {
+    var typed = pcm.WithOptions({ typedArrays: true });
+
+    return Promise.all([
+      typed.ReadMemory(BASE + 0x100, 4),
+      typed.ReadIntArray(BASE + 0x100, 3, 2),
+      typed.ReadUIntArray(BASE + 0x108, 2, 2),
+      typed.ReadFloatArray(BASE + 0x110, 2),
+      typed.ReadDoubleArray(BASE + 0x118, 1),
+      typed.WithOptions({ typedArrays: true, bigint: true }).ReadIntArray(BASE + 0x120, 1, 8),
+      pcm.ReadIntArray(BASE + 0x100, 3, 2)
+    ]);
+  }).then((responses) => {
+    assert.deepStrictEqual(responses[0].data, Uint8Array.of(0xFF, 0xFF, 0, 0));
+    assert.deepStrictEqual(responses[1].data, Int16Array.of(-1, 0, 1));
+    assert.deepStrictEqual(responses[2].data, Uint16Array.of(0xFFFF, 2));
+    assert.deepStrictEqual(responses[3].data, Float32Array.of(1.5, -2.25));
+    assert.deepStrictEqual(responses[4].data, Float64Array.of(0.1));
+    assert.deepStrictEqual(responses[5].data, BigInt64Array.of(-1n));
+    assert.deepStrictEqual(responses[6].data, [-1, 0, 1]);
+  });
+});
+
+test('rejects the TypedArrays not matching the written elements before sending them', (t) => {
+  return Session(t).then(Start).then((session) => {
+    var pcm = session.pcm;
+
+    session.sent.length = 0;
+
+    return Promise.all([
+      assert.rejects(pcm.WriteIntArray(BASE + 0x100, 2, Int32Array.of(1)), /Int32Array does not match the int elements of size 2/),
+      assert.rejects(pcm.WriteUIntArray(BASE + 0x100, 1, Float32Array.of(1)), TypeError),
+      assert.rejects(pcm.WriteFloatArray(BASE + 0x100, Float64Array.of(1)), TypeError),
+      assert.rejects(pcm.WriteDoubleArray(BASE + 0x100, Float32Array.of(1)), TypeError)
+    ]).then(() => {
+      assert.deepStrictEqual(session.sent, []);
+    });
+  });
+});
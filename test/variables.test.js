@@ -0,0 +1,77 @@
+// Tests of the Variable objects of freemaster-client.js against the mock FreeMASTER service.
+//
+// Run: node --test test/
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./mock-session.js');
+
+var PCM = helpers.PCM;
+var Session = helpers.Session;
+var Start = helpers.Start;
+
+test('defines a variable addressed by a symbol once the symbols are loaded', (t) => {
+  var session;
+  var read;
+
+  /* The timeout 0 waits for the symbols forever. */
+  return Session(t, { timeout: 0 }).then((started) => {
+    session = started;
+    session.sent.length = 0;
+    read = session.pcm.variable('var16inc', { type: 'uint', size: 2 }).read();
+
+    return helpers.sleep(20);
+  }).then(() => {
+    assert.deepStrictEqual(session.sent, []);
+    return Start(session);
+  }).then(() => read).then((value) => {
+    assert.strictEqual(value, 1);
+    assert.deepStrictEqual(session.sent.slice(2), [['DefineVariable'], ['GetVariableInfo'], ['ReadVariable']]);
+  });
+});
+
+test('subscribes to the changes of a variable', (t) => {
+  var var16;
+  var values = [];
+  var changed;
+
+  return Session(t).then(Start).then((session) => {
+    session.pcm.EnableExtraFeatures(true);
+    session.pcm.OnVariableChanged = null;
+    var16 = session.pcm.variable('var16', { type: 'uint', size: 2 });
+
+    changed = new Promise((resolve) => {
+      values.resolve = resolve;
+    });
+
+    return var16.subscribe((value, variable) => {
+      assert.strictEqual(variable, var16);
+      if (values.push(value) === 2) {
+        values.resolve();
+      }
+    }, 10);
+  }).then((unsubscribe) => {
+    /* The simulation timers of the mock don't keep the process running. */
+    var alive = setInterval(() => {}, 1000);
+
+    return changed.then(unsubscribe).finally(() => clearInterval(alive));
+  }).then(() => {
+    assert.notStrictEqual(values[0], values[1]);
+  });
+});
+
+test('rejects a failed subscription without an unhandled removal error', (t) => {
+  return Session(t).then(Start).then((session) => {
+    var var16 = session.pcm.variable('var16', { type: 'uint', size: 2 });
+
+    return assert.rejects(var16.subscribe(() => {}), /extra features/).then(() => {
+      session.pcm.EnableExtraFeatures(true);
+      session.mock.inject('SubscribeVariable', { type: 'error', code: 42 });
+      session.mock.inject('UnSubscribeVariable', { type: 'error', code: 43 });
+
+      return assert.rejects(var16.subscribe(() => {}), (error) => error instanceof PCM.ServiceError && error.code === 42);
+    }).then(() => helpers.sleep(20));
+  });
+});
@@ -0,0 +1,780 @@
+/*******************************************************************************
+ *
+ * @file           freemaster-mock-server.js
+ *
+ * Stand-in for the FreeMASTER Lite service for offline development and CI.
+ *
+ * The server speaks the JSON-RPC dialect used by freemaster-client.js and simulates
+ * a target running the fmstr_uart_example application (var16 and var32 incremented
+ * by var16inc and var32inc). Faults like timeouts, service errors and board
+ * disconnections can be injected from scripts.
+ *
+ * Usage: node tools/freemaster-mock-server.js [port]
+ *
+ ******************************************************************************/
+
+'use strict';
+
+var simple_jsonrpc = require('../assets/js/simple-jsonrpc-js');
+
+/* Simulated target memory. */
+var BASE_ADDR = 0x20000000;
+var MEMORY_SIZE = 0x400;
+
+/* Symbol table of the simulated fmstr_uart_example application (TSA table and ELF file). */
+var SYMBOLS = [
+  { name: 'var8',      addr: BASE_ADDR + 0x00, size: 1,  type: 'uint8' },
+  { name: 'var16',     addr: BASE_ADDR + 0x02, size: 2,  type: 'uint16' },
+  { name: 'var32',     addr: BASE_ADDR + 0x04, size: 4,  type: 'uint32' },
+  { name: 'var16inc',  addr: BASE_ADDR + 0x08, size: 2,  type: 'uint16' },
+  { name: 'var32inc',  addr: BASE_ADDR + 0x0C, size: 4,  type: 'uint32' },
+  { name: 'varFLT',    addr: BASE_ADDR + 0x10, size: 4,  type: 'float' },
+  { name: 'varDBL',    addr: BASE_ADDR + 0x18, size: 8,  type: 'double' },
+  { name: 'var64',     addr: BASE_ADDR + 0x20, size: 8,  type: 'uint64' },
+  { name: 'varFrac16', addr: BASE_ADDR + 0x28, size: 2,  type: 'frac16' },
+  { name: 'varStatus', addr: BASE_ADDR + 0x2C, size: 2,  type: 'uint16' },
+  { name: 'arr16',     addr: BASE_ADDR + 0x30, size: 20, type: 'int16[10]' },
+  { name: 'appConfig', addr: BASE_ADDR + 0x50, size: 16, type: 'config_t' },
+  { name: 'buffer',    addr: BASE_ADDR + 0x100, size: 256, type: 'uint8[256]' }
+];
+
+/* User types of the simulated application. */
+var TYPES = {
+  config_t: {
+    gain:   { offset: 0, size: 4 },
+    offset: { offset: 4, size: 2 },
+    flags:  { offset: 6, size: 2 },
+    limits: { offset: 8, size: 8 }
+  },
+  limits_t: {
+    min: { offset: 0, size: 4 },
+    max: { offset: 4, size: 4 }
+  }
+};
+
+/* Error codes reported in the error property of failed responses. */
+var ERRORS = {
+  PORT_NOT_OPEN:   { code: 1, msg: 'Communication port is not open' },
+  NO_BOARD:        { code: 2, msg: 'Board not detected' },
+  UNKNOWN_SYMBOL:  { code: 3, msg: 'Unknown symbol' },
+  UNKNOWN_VAR:     { code: 4, msg: 'Unknown variable' },
+  OUT_OF_RANGE:    { code: 5, msg: 'Index out of range' },
+  INVALID_ARG:     { code: 6, msg: 'Invalid argument' },
+  MEMORY_ACCESS:   { code: 7, msg: 'Invalid memory access' },
+  INVALID_PIPE:    { code: 8, msg: 'Invalid pipe' },
+  NOT_CONFIGURED:  { code: 9, msg: 'Not configured' }
+};
+
+function Ok(data, xtra) {
+  var response = { success: true, data: data };
+
+  if (xtra !== undefined) {
+    response.xtra = xtra;
+  }
+
+  return response;
+}
+
+function Fail(error, detail) {
+  return {
+    success: false,
+    error: { code: error.code, msg: detail ? error.msg + ': ' + detail : error.msg }
+  };
+}
+
+/* Thrown by the request handlers to produce a failed response. */
+function MockFailure(error, detail) {
+  this.response = Fail(error, detail);
+}
+
+/**
+ * @constructs MockServer
+ * @classdesc Simulated FreeMASTER Lite service with a target running the fmstr_uart_example application.
+ * @description Creates an instance of the mock server. The simulation starts immediately, call listen to accept
+ * WebSocket connections or pass the connect method to PCM.LoopbackTransport to serve an in-process PCM instance.
+ * The simulation timers don't keep the Node.js process running, close stops them and drops the connections.
+ *
+ * @example
+ * var MockServer = require('./tools/freemaster-mock-server');
+ * var mock = new MockServer();
+ * var pcm = new PCM('mock', { transport: PCM.LoopbackTransport(mock.connect) });
+ *
+ * @example
+ * // Make the next two ReadVariable calls fail and disconnect the board later on
+ * mock.inject('ReadVariable', { type: 'error', times: 2 });
+ * setTimeout(() => mock.disconnectBoard(), 1000);
+ *
+ * @param {Object} [options]                  Server options.
+ * @param {number} [options.tickInterval=10]  Period of the simulated application main loop in milliseconds.
+ */
+var MockServer = function(options) {
+  options = options || {};
+
+  var memory = Buffer.alloc(MEMORY_SIZE);
+  var sessions = new Set();
+  var faults = {};
+  var commPort = null;
+  var boardConnected = true;
+  var symbolsLoaded = false;
+  var scriptSymbols = [];
+  var variables = {};
+  var oscilloscopes = {};
+  var recorders = {};
+  var pipes = {};
+  var subscriptionId = 0;
+  var tickCount = 0;
+  var wss = null;
+
+  /* Application main loop. */
+  var ticker = setInterval(function() {
+    var var64;
+
+    tickCount++;
+    WriteValue(FindSymbol('var16').addr, 'uint', 2, (ReadValue(FindSymbol('var16').addr, 'uint', 2) + ReadValue(FindSymbol('var16inc').addr, 'uint', 2)) & 0xFFFF);
+    WriteValue(FindSymbol('var32').addr, 'uint', 4, (ReadValue(FindSymbol('var32').addr, 'uint', 4) + ReadValue(FindSymbol('var32inc').addr, 'uint', 4)) >>> 0);
+    var64 = BigInt.asUintN(64, memory.readBigUInt64LE(Offset(FindSymbol('var64').addr, 8)) + BigInt(ReadValue(FindSymbol('var32inc').addr, 'uint', 4)));
+    memory.writeBigUInt64LE(var64, Offset(FindSymbol('var64').addr, 8));
+    WriteValue(FindSymbol('varFLT').addr, 'float', 4, Math.sin(tickCount / 100));
+    WriteValue(FindSymbol('varFrac16').addr, 'int', 2, Math.round(Math.cos(tickCount / 100) * 32767));
+    SampleRecorders();
+  }, options.tickInterval || 10);
+
+  /* The simulation alone does not keep the process running. */
+  ticker.unref();
+
+  WriteValue(FindSymbol('var16inc').addr, 'uint', 2, 1);
+  WriteValue(FindSymbol('var32inc').addr, 'uint', 4, 100);
+  WriteValue(FindSymbol('varDBL').addr, 'double', 8, Math.PI);
+  WriteValue(FindSymbol('appConfig').addr, 'float', 4, 1.5);
+  WriteValue(FindSymbol('appConfig').addr + 4, 'int', 2, -10);
+  WriteValue(FindSymbol('appConfig').addr + 8, 'float', 4, -2.5);
+  WriteValue(FindSymbol('appConfig').addr + 12, 'float', 4, 2.5);
+  for (var i = 0; i < 10; i++) {
+    WriteValue(FindSymbol('arr16').addr + i * 2, 'int', 2, i * 100 - 500);
+  }
+
+  function FindSymbol(name) {
+    return SYMBOLS.concat(scriptSymbols).find((symbol) => symbol.name === name);
+  }
+
+  function Offset(addr, size) {
+    var offset = addr - BASE_ADDR;
+
+    if (typeof addr !== 'number' || offset < 0 || offset + size > MEMORY_SIZE) {
+      throw new MockFailure(ERRORS.MEMORY_ACCESS, '0x' + Number(addr).toString(16));
+    }
+
+    return offset;
+  }
+
+  function ReadValue(addr, type, size) {
+    var offset = Offset(addr, size);
+
+    switch (type) {
+      case 'float':
+        return memory.readFloatLE(offset);
+      case 'double':
+        return memory.readDoubleLE(offset);
+      case 'int':
+      case 'fract':
+        return size === 8 ? Number(memory.readBigInt64LE(offset)) : memory.readIntLE(offset, size);
+      default:
+        return size === 8 ? Number(memory.readBigUInt64LE(offset)) : memory.readUIntLE(offset, size);
+    }
+  }
+
+  function WriteValue(addr, type, size, value) {
+    var offset = Offset(addr, size);
+
+    switch (type) {
+      case 'float':
+        memory.writeFloatLE(value, offset);
+        break;
+      case 'double':
+        memory.writeDoubleLE(value, offset);
+        break;
+      default:
+        if (size === 8) {
+          memory.writeBigUInt64LE(BigInt.asUintN(64, BigInt(Math.trunc(value))), offset);
+        } else {
+          /* Truncate to the element size like the target does. */
+          memory.writeUIntLE(Number(BigInt.asUintN(size * 8, BigInt(Math.trunc(value)))), offset, size);
+        }
+    }
+  }
+
+  function CheckBoard() {
+    if (commPort === null) {
+      throw new MockFailure(ERRORS.PORT_NOT_OPEN);
+    }
+    if (!boardConnected) {
+      throw new MockFailure(ERRORS.NO_BOARD);
+    }
+  }
+
+  /* Resolves an address value or a symbol name. */
+  function Address(addr) {
+    if (typeof addr === 'string') {
+      var symbol = symbolsLoaded || scriptSymbols.length ? FindSymbol(addr) : undefined;
+      if (!symbol) {
+        throw new MockFailure(ERRORS.UNKNOWN_SYMBOL, addr);
+      }
+      return symbol.addr;
+    }
+
+    return addr;
+  }
+
+  function CheckSize(size, allowed) {
+    if (allowed.indexOf(size) < 0) {
+      throw new MockFailure(ERRORS.INVALID_ARG, 'size ' + size);
+    }
+  }
+
+  function Variable(name) {
+    if (!variables.hasOwnProperty(name)) {
+      throw new MockFailure(ERRORS.UNKNOWN_VAR, name);
+    }
+
+    return variables[name];
+  }
+
+  function ReadVariable(name) {
+    var variable = Variable(name);
+    var value = ReadValue(variable.addr, variable.type, variable.size);
+
+    if (variable.mask !== undefined) {
+      value = (value & variable.mask) >>> 0;
+    }
+    if (variable.shift) {
+      value = value >>> variable.shift;
+    }
+
+    return value;
+  }
+
+  function ReadArray(addr, size, elSize, type) {
+    var values = [];
+
+    addr = Address(addr);
+    for (var i = 0; i < size; i++) {
+      values.push(ReadValue(addr + i * elSize, type, elSize));
+    }
+
+    return values;
+  }
+
+  function WriteArray(addr, elSize, type, data) {
+    addr = Address(addr);
+    Offset(addr, data.length * elSize);
+    data.forEach((value, index) => WriteValue(addr + index * elSize, type, elSize, value));
+
+    return data.length;
+  }
+
+  function Pipe(port) {
+    if (!pipes.hasOwnProperty(port)) {
+      throw new MockFailure(ERRORS.INVALID_PIPE, port);
+    }
+
+    return pipes[port];
+  }
+
+  /* The simulated application echoes everything written to a pipe. */
+  function PipeWrite(port, items) {
+    var pipe = Pipe(port);
+    var count = Math.min(items.length, pipe.rxSize - pipe.rx.length);
+
+    pipe.rx = pipe.rx.concat(items.slice(0, count));
+    return count;
+  }
+
+  function PipeRead(port, size, allOrNothing) {
+    var pipe = Pipe(port);
+
+    if (allOrNothing && pipe.rx.length < size) {
+      return [];
+    }
+
+    return pipe.rx.splice(0, size);
+  }
+
+  function SampleRecorders() {
+    Object.keys(recorders).forEach(function(id) {
+      var recorder = recorders[id];
+
+      if (recorder.status !== 2 || tickCount % recorder.config.timeDiv) {
+        return;
+      }
+
+      recorder.data.forEach((series, index) => series.push(ReadVariable(recorder.vars[index])));
+      if (recorder.data[0].length >= recorder.config.pointsTotal) {
+        recorder.status = 5;
+        Broadcast('OnRecorderDone', []);
+      }
+    });
+  }
+
+  function Broadcast(event, params) {
+    sessions.forEach(function(session) {
+      if (session.events) {
+        session.jrpc.notification(event, params);
+      }
+    });
+  }
+
+  /* Request handlers, called with the request parameters and the session as this. */
+  var handlers = {
+    GetAppVersion: () => Ok('3.0.0 (mock)'),
+    EnumCommPorts: (index) => index === 0 ? Ok('Mock') : Fail(ERRORS.OUT_OF_RANGE),
+    GetCommPortInfo: (name) => name === 'Mock' ?
+      Ok({ name: 'Mock', description: 'Simulated fmstr_uart_example target', connection_string: 'MOCK', elf: '' }) :
+      Fail(ERRORS.INVALID_ARG, name),
+    StartComm: function(name) {
+      commPort = name;
+      Broadcast('OnCommPortStateChanged', [true]);
+      if (boardConnected) {
+        Broadcast('OnBoardDetected', []);
+      }
+      return Ok();
+    },
+    StopComm: function() {
+      commPort = null;
+      Broadcast('OnCommPortStateChanged', [false]);
+      return Ok();
+    },
+    StartStopComm: (start) => start ? handlers.StartComm('Mock') : handlers.StopComm(),
+    IsCommPortOpen: () => Ok(commPort !== null),
+    IsBoardDetected: () => Ok(commPort !== null && boardConnected),
+    GetDetectedBoardInfo: function() {
+      CheckBoard();
+      return Ok({
+        protVer: 4, cfgFlags: 0, dataBusWdt: 1, globVerMajor: 4, globVerMinor: 0,
+        cmdBuffSize: 60, recBuffSize: 1024, recTimeBase: 10000, descr: 'fmstr_uart_example (mock)'
+      });
+    },
+    GetConfigParamU8: function(name) {
+      var params = { F1: 0, RC: 1, SC: 2, PC: 1 };
+      CheckBoard();
+      return params.hasOwnProperty(name) ? Ok(params[name]) : Fail(ERRORS.INVALID_ARG, name);
+    },
+    GetConfigParamULEB: function(name) {
+      var params = { MTU: 60, BA: BASE_ADDR };
+      CheckBoard();
+      return params.hasOwnProperty(name) ? Ok(params[name]) : Fail(ERRORS.INVALID_ARG, name);
+    },
+    GetConfigParamString: function(name, len) {
+      var params = { VS: '1.0', NM: 'fmstr_uart_example', DS: 'FreeMASTER mock target', BD: 'Jan 01 2020 00:00:00' };
+      CheckBoard();
+      return params.hasOwnProperty(name) ? Ok(params[name].substring(0, len || 256)) : Fail(ERRORS.INVALID_ARG, name);
+    },
+
+    ReadIntVariable: (addr, size) => (CheckBoard(), CheckSize(size, [1, 2, 4, 8]), Ok(ReadValue(Address(addr), 'int', size))),
+    ReadUIntVariable: (addr, size) => (CheckBoard(), CheckSize(size, [1, 2, 4, 8]), Ok(ReadValue(Address(addr), 'uint', size))),
+    ReadFloatVariable: (addr) => (CheckBoard(), Ok(ReadValue(Address(addr), 'float', 4))),
+    ReadDoubleVariable: (addr) => (CheckBoard(), Ok(ReadValue(Address(addr), 'double', 8))),
+    WriteIntVariable: (addr, size, data) => (CheckBoard(), CheckSize(size, [1, 2, 4, 8]), WriteValue(Address(addr), 'int', size, data), Ok()),
+    WriteUIntVariable: (addr, size, data) => (CheckBoard(), CheckSize(size, [1, 2, 4, 8]), WriteValue(Address(addr), 'uint', size, data), Ok()),
+    WriteFloatVariable: (addr, data) => (CheckBoard(), WriteValue(Address(addr), 'float', 4, data), Ok()),
+    WriteDoubleVariable: (addr, data) => (CheckBoard(), WriteValue(Address(addr), 'double', 8, data), Ok()),
+
+    ReadMemory: (addr, size) => (CheckBoard(), Ok(ReadArray(addr, size, 1, 'uint'))),
+    WriteMemory: (addr, data) => (CheckBoard(), Ok(WriteArray(addr, 1, 'uint', data))),
+    ReadIntArray: (addr, size, elSize) => (CheckBoard(), CheckSize(elSize, [1, 2, 4, 8]), Ok(ReadArray(addr, size, elSize, 'int'))),
+    ReadUIntArray: (addr, size, elSize) => (CheckBoard(), CheckSize(elSize, [1, 2, 4, 8]), Ok(ReadArray(addr, size, elSize, 'uint'))),
+    ReadFloatArray: (addr, size) => (CheckBoard(), Ok(ReadArray(addr, size, 4, 'float'))),
+    ReadDoubleArray: (addr, size) => (CheckBoard(), Ok(ReadArray(addr, size, 8, 'double'))),
+    WriteIntArray: (addr, elSize, data) => (CheckBoard(), CheckSize(elSize, [1, 2, 4, 8]), Ok(WriteArray(addr, elSize, 'int', data))),
+    WriteUIntArray: (addr, elSize, data) => (CheckBoard(), CheckSize(elSize, [1, 2, 4, 8]), Ok(WriteArray(addr, elSize, 'uint', data))),
+    WriteFloatArray: (addr, data) => (CheckBoard(), Ok(WriteArray(addr, 4, 'float', data))),
+    WriteDoubleArray: (addr, data) => (CheckBoard(), Ok(WriteArray(addr, 8, 'double', data))),
+
+    ReadELF: function() {
+      symbolsLoaded = true;
+      return Ok({ count: SYMBOLS.length });
+    },
+    ReadTSA: function() {
+      CheckBoard();
+      symbolsLoaded = true;
+      return Ok({ count: SYMBOLS.length });
+    },
+    EnumSymbols: function(index) {
+      var symbols = symbolsLoaded ? SYMBOLS.concat(scriptSymbols) : scriptSymbols;
+      return index >= 0 && index < symbols.length ? Ok(symbols[index].name) : Fail(ERRORS.OUT_OF_RANGE);
+    },
+    GetSymbolInfo: function(name) {
+      var symbol = symbolsLoaded || scriptSymbols.length ? FindSymbol(name) : undefined;
+      if (!symbol) {
+        return Fail(ERRORS.UNKNOWN_SYMBOL, name);
+      }
+      return Ok(Object.assign({}, symbol));
+    },
+    DefineSymbol: function(name, address, type, size) {
+      scriptSymbols = scriptSymbols.filter((symbol) => symbol.name !== name);
+      scriptSymbols.push({
+        name: name,
+        addr: Number(address),
+        size: size ? Number(size) : (TYPES.hasOwnProperty(type) ? TypeSize(type) : 4),
+        type: type || ''
+      });
+      return Ok();
+    },
+    DeleteAllScriptSymbols: function() {
+      scriptSymbols = [];
+      return Ok();
+    },
+    GetStructMemberInfo: function(type, member) {
+      if (!TYPES.hasOwnProperty(type) || !TYPES[type].hasOwnProperty(member)) {
+        return Fail(ERRORS.UNKNOWN_SYMBOL, type + '.' + member);
+      }
+      return Ok(undefined, Object.assign({}, TYPES[type][member]));
+    },
+    GetAddressInfo: function(addr, size) {
+      var symbol = SYMBOLS.concat(scriptSymbols).find((s) => addr >= s.addr && addr + (size || 1) <= s.addr + s.size);
+      if (!symbol) {
+        return Fail(ERRORS.UNKNOWN_SYMBOL, '0x' + Number(addr).toString(16));
+      }
+      return Ok(addr === symbol.addr ? symbol.name : symbol.name + '+' + (addr - symbol.addr));
+    },
+
+    EnumVariables: function(index) {
+      var names = Object.keys(variables);
+      return index >= 0 && index < names.length ? Ok(names[index]) : Fail(ERRORS.OUT_OF_RANGE);
+    },
+    GetVariableInfo: (name) => Ok(Object.assign({}, Variable(name))),
+    DefineVariable: function(variable) {
+      if (!variable || !variable.name || ['int', 'uint', 'fract', 'ufract', 'float', 'double'].indexOf(variable.type) < 0) {
+        return Fail(ERRORS.INVALID_ARG);
+      }
+      variables[variable.name] = Object.assign({}, variable, {
+        addr: Address(variable.addr),
+        size: variable.type === 'float' ? 4 : (variable.type === 'double' ? 8 : variable.size)
+      });
+      return Ok();
+    },
+    DeleteVariable: function(name) {
+      Variable(name);
+      delete variables[name];
+      return Ok();
+    },
+    DeleteAllScriptVariables: function() {
+      variables = {};
+      return Ok();
+    },
+    ReadVariable: (name) => (CheckBoard(), Ok(ReadVariable(name))),
+    WriteVariable: function(name, value) {
+      var variable = Variable(name);
+
+      CheckBoard();
+      if (variable.mask !== undefined) {
+        var raw = ReadValue(variable.addr, variable.type, variable.size);
+        value = (raw & ~variable.mask) | ((value << (variable.shift || 0)) & variable.mask);
+      }
+      WriteValue(variable.addr, variable.type, variable.size, value);
+      return Ok();
+    },
+
+    SetupOscilloscope: function(id, vars) {
+      vars.forEach(Variable);
+      oscilloscopes[id] = vars;
+      return Ok();
+    },
+    GetOscilloscopeData: function(id) {
+      CheckBoard();
+      if (!oscilloscopes.hasOwnProperty(id)) {
+        return Fail(ERRORS.NOT_CONFIGURED, 'oscilloscope ' + id);
+      }
+      return Ok(oscilloscopes[id].map(ReadVariable));
+    },
+    GetRecorderLimits: () => (CheckBoard(), Ok({ baseRate_ns: 10000000, buffSize: 1024, recStructSize: 16, varStructSize: 8 })),
+    SetupRecorder: function(id, config, recVars, trgVars) {
+      recVars.forEach(Variable);
+      recorders[id] = {
+        config: Object.assign({ timeDiv: 1 }, config),
+        vars: recVars,
+        triggers: trgVars || [],
+        status: 1,
+        data: []
+      };
+      return Ok();
+    },
+    StartRecorder: function(id) {
+      var recorder = recorders[id];
+      if (!recorder) {
+        return Fail(ERRORS.NOT_CONFIGURED, 'recorder ' + id);
+      }
+      recorder.status = 2;
+      recorder.data = recorder.vars.map(() => []);
+      return Ok();
+    },
+    StopRecorder: function(id) {
+      var recorder = recorders[id];
+      if (!recorder) {
+        return Fail(ERRORS.NOT_CONFIGURED, 'recorder ' + id);
+      }
+      recorder.status = recorder.data.length && recorder.data[0].length ? 5 : 4;
+      return Ok();
+    },
+    GetRecorderStatus: (id) => Ok(recorders[id] ? recorders[id].status : 0),
+    GetRecorderData: function(id) {
+      var recorder = recorders[id];
+      if (!recorder || recorder.status !== 5) {
+        return Fail(ERRORS.NOT_CONFIGURED, 'recorder ' + id);
+      }
+      return Ok(recorder.data);
+    },
+
+    PipeOpen: function(port, txBufferSize, rxBufferSize) {
+      CheckBoard();
+      pipes[port] = { rx: [], txSize: txBufferSize, rxSize: rxBufferSize };
+      return Ok();
+    },
+    PipeClose: (port) => (Pipe(port), delete pipes[port], Ok()),
+    PipeFlush: (port) => (Pipe(port), Ok()),
+    PipeSetDefaultRxMode: () => Ok(),
+    PipeSetDefaultTxMode: () => Ok(),
+    PipeSetDefaultStringMode: () => Ok(),
+    PipeGetRxBytes: (port) => Ok(Pipe(port).rx.length),
+    PipeGetTxBytes: (port) => (Pipe(port), Ok(0)),
+    PipeGetTxFree: (port) => Ok(Pipe(port).txSize),
+    PipeGetRxBufferSize: (port) => Ok(Pipe(port).rxSize),
+    PipeGetTxBufferSize: (port) => Ok(Pipe(port).txSize),
+    PipeWriteString: (port, str) => Ok(PipeWrite(port, String(str).split(''))),
+    PipeWriteIntArray: (port, elSize, data) => Ok(PipeWrite(port, data)),
+    PipeWriteUIntArray: (port, elSize, data) => Ok(PipeWrite(port, data)),
+    PipeWriteFloatArray: (port, data) => Ok(PipeWrite(port, data)),
+    PipeWriteDoubleArray: (port, data) => Ok(PipeWrite(port, data)),
+    PipeReadString: (port, rxTimeout_ms, charsToRead, allOrNothing) => Ok(PipeRead(port, charsToRead, allOrNothing).join('')),
+    PipeReadIntArray: (port, elSize, rxTimeout_ms, size, allOrNothing) => Ok(PipeRead(port, size, allOrNothing)),
+    PipeReadUIntArray: (port, elSize, rxTimeout_ms, size, allOrNothing) => Ok(PipeRead(port, size, allOrNothing)),
+    PipeReadFloatArray: (port, rxTimeout_ms, size, allOrNothing) => Ok(PipeRead(port, size, allOrNothing)),
+    PipeReadDoubleArray: (port, rxTimeout_ms, size, allOrNothing) => Ok(PipeRead(port, size, allOrNothing)),
+
+    EnableEvents: function(enable) {
+      this.events = !!enable;
+      return Ok();
+    },
+    SubscribeVariable: function(name, interval) {
+      var session = this;
+      var subscription = { id: ++subscriptionId, name: name, last: ReadVariable(name) };
+
+      subscription.timer = setInterval(function() {
+        var value;
+        try {
+          value = ReadVariable(name);
+        } catch (e) {
+          return;
+        }
+        if (value !== subscription.last && commPort !== null && boardConnected) {
+          subscription.last = value;
+          if (session.events) {
+            session.jrpc.notification('OnVariableChanged', [name, subscription.id, value]);
+          }
+        }
+      }, interval || 100);
+      subscription.timer.unref();
+      session.subscriptions.push(subscription);
+      return Ok(undefined, { subscriptionId: subscription.id });
+    },
+    UnSubscribeVariable: function(name_or_id) {
+      this.subscriptions = this.subscriptions.filter(function(subscription) {
+        if (subscription.name === name_or_id || subscription.id === name_or_id) {
+          clearInterval(subscription.timer);
+          return false;
+        }
+        return true;
+      });
+      return Ok();
+    },
+    IsBoardWithActiveContent: () => Ok(false),
+    EnumHrefLinks: () => Fail(ERRORS.OUT_OF_RANGE),
+    EnumProjectFiles: () => Fail(ERRORS.OUT_OF_RANGE),
+    GetPageReloadOnPortOpen: () => Ok(true)
+  };
+
+  /* Services without any effect on the simulation. */
+  ['LocalFileOpen', 'LocalFileClose', 'LocalFileReadString', 'LocalFileWriteString', 'LogEnable', 'LogDisable',
+    'LogSetPattern', 'LogSetVerbosity', 'LogSetServices', 'RunStimulators', 'StopStimulators', 'Exit',
+    'ActivateWindow', 'SelectItem', 'OpenProject', 'SetPageReloadOnPortOpen', 'DefineOscilloscope',
+    'DefineRecorder', 'SendCommand', 'GetCurrentRecorderState', 'GetCurrentRecorderData',
+    'GetCurrentRecorderSeries'].forEach(function(method) {
+    handlers[method] = () => Ok();
+  });
+
+  function TypeSize(type) {
+    var members = TYPES[type];
+    return Object.keys(members).reduce((size, name) => Math.max(size, members[name].offset + members[name].size), 0);
+  }
+
+  /* Applies the injected fault, returns undefined when the request should be handled normally. */
+  function InjectedFault(method, params, session) {
+    var fault = faults[method] || faults['*'];
+
+    if (!fault) {
+      return undefined;
+    }
+
+    if (--fault.times <= 0) {
+      delete faults[faults[method] ? method : '*'];
+    }
+
+    switch (fault.type) {
+      case 'timeout':
+        return new Promise(() => {});
+      case 'error':
+        return Promise.resolve({ success: false, error: { code: fault.code || 99, msg: fault.msg || 'Injected error' } });
+      case 'delay':
+        return new Promise((resolve) => setTimeout(() => resolve(Handle(method, params, session)), fault.ms));
+      case 'disconnect':
+        setTimeout(() => session.peer.close());
+        return new Promise(() => {});
+    }
+
+    return undefined;
+  }
+
+  function Handle(method, params, session) {
+    try {
+      return handlers[method].apply(session, params || []);
+    } catch (e) {
+      if (e instanceof MockFailure) {
+        return e.response;
+      }
+      throw e;
+    }
+  }
+
+  /**
+   * Serves a new connection. The peer has a send and a close method and the onmessage and onclose
+   * handlers to be set, see PCM.LoopbackTransport.
+   *
+   * @param {Object} peer Connection peer.
+   */
+  this.connect = function(peer) {
+    var session = {
+      jrpc: new simple_jsonrpc(),
+      peer: peer,
+      events: false,
+      subscriptions: []
+    };
+
+    session.jrpc.toStream = peer.send;
+    /* A malformed frame is answered by the parse error and must not stop the server. */
+    peer.onmessage = (msg) => session.jrpc.messageHandler(msg).catch(() => {});
+
+    Object.keys(handlers).forEach(function(method) {
+      session.jrpc.dispatch(method, 'pass', function(params) {
+        return InjectedFault(method, params, session) || Handle(method, params, session);
+      });
+    });
+
+    sessions.add(session);
+    session.close = function() {
+      session.subscriptions.forEach((subscription) => clearInterval(subscription.timer));
+      sessions.delete(session);
+    };
+    peer.onclose = session.close;
+
+    return session;
+  };
+
+  /**
+   * Starts accepting WebSocket connections.
+   *
+   * @param   {number} [port=8090] Listening port.
+   * @returns {Promise} Resolved when the server is listening.
+   */
+  this.listen = function(port) {
+    var WebSocket = require('ws');
+
+    return new Promise((resolve, reject) => {
+      wss = new WebSocket.Server({ port: port || 8090 });
+      wss.on('listening', resolve);
+      wss.on('error', reject);
+      wss.on('connection', (socket) => {
+        var session = this.connect({
+          send: (msg) => socket.send(msg),
+          close: () => socket.terminate(),
+          onmessage: null
+        });
+        socket.on('message', (msg) => session.peer.onmessage(msg.toString()));
+        socket.on('close', () => session.peer.onclose());
+      });
+    });
+  };
+
+  /**
+   * Injects a fault into the handling of a service method.
+   *
+   * | Type       | Effect                                                      |
+   * | :--------- | :---------------------------------------------------------- |
+   * | timeout    | The request is never answered                               |
+   * | error      | The response has success:false with the given code and msg |
+   * | delay      | The response is sent after the given number of ms          |
+   * | disconnect | The connection is dropped, the request is never answered    |
+   *
+   * @example
+   * mock.inject('ReadVariable', { type: 'error', code: 42, msg: 'Bus fault', times: 3 });
+   * mock.inject('*', { type: 'delay', ms: 500, times: Infinity });
+   *
+   * @param {string} method        Service method name, '*' matches all methods.
+   * @param {Object} fault         Fault description.
+   * @param {string} fault.type    Fault type.
+   * @param {number} [fault.times] Number of affected requests, 1 by default.
+   */
+  this.inject = function(method, fault) {
+    faults[method] = Object.assign({ times: 1 }, fault);
+  };
+
+  /**
+   * Removes all the injected faults.
+   */
+  this.clearFaults = function() {
+    faults = {};
+  };
+
+  /**
+   * Simulates a board disconnection. Target related services fail until connectBoard is called.
+   */
+  this.disconnectBoard = function() {
+    boardConnected = false;
+  };
+
+  /**
+   * Simulates a board reconnection.
+   */
+  this.connectBoard = function() {
+    boardConnected = true;
+    if (commPort !== null) {
+      Broadcast('OnBoardDetected', []);
+    }
+  };
+
+  /**
+   * Direct access to the simulated target memory (Buffer mapped at the base address).
+   */
+  this.memory = memory;
+  this.baseAddress = BASE_ADDR;
+
+  /**
+   * Stops the simulation and closes all the connections.
+   *
+   * @returns {Promise} Resolved when the server is closed.
+   */
+  this.close = function() {
+    clearInterval(ticker);
+    sessions.forEach((session) => {
+      session.close();
+      session.peer.close();
+    });
+
+    return new Promise((resolve) => wss ? wss.close(resolve) : resolve());
+  };
+};
+
+module.exports = MockServer;
+
+if (require.main === module) {
+  var port = Number(process.argv[2]) || 8090;
+  new MockServer().listen(port).then(() => console.log('FreeMASTER mock server listening on ws://localhost:' + port));
+}